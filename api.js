@@ -1,13 +1,179 @@
 'use strict';
 
 const Homey = require('homey');
+const ProtectAPI = require('./library/protectapi');
+const UfvConstants = require('./library/constants');
+const { createAuthProvider, scrub } = require('./library/auth');
 
 module.exports = [
     {
         method: 'POST',
-        path: '/settings/validate',
+        path: '/settings/nvrs',
         fn(args, callback) {
-            Homey.app.api.login(args.body.hostname, args.body.port, args.body.username, args.body.password)
+            const nvr = args.body;
+            const nvrs = Homey.ManagerSettings.get('ufp:nvrs') || [];
+            const credentials = Object.assign({ type: UfvConstants.AUTH_TYPE_PASSWORD }, nvr.credentials);
+
+            // An empty password or API key keeps the saved one, the settings page never gets to see it
+            const saved = nvrs.find(item => item.id === nvr.id);
+            if (saved && saved.credentials && (saved.credentials.type || UfvConstants.AUTH_TYPE_PASSWORD) === credentials.type) {
+                credentials.password = credentials.password || saved.credentials.password;
+                credentials.apiKey = credentials.apiKey || saved.credentials.apiKey;
+            }
+
+            // Validate with a separate API instance, so the connected controllers are left alone
+            const auth = createAuthProvider(credentials);
+            const api = new ProtectAPI(nvr.id);
+            api.trust.setSettings(nvr.tls);
+            api.authenticate(nvr.nvrip, nvr.nvrport, auth)
+                .then(() => api.getBootstrapInfo())
+                .then(() => {
+                    Homey.ManagerSettings.set('ufp:nvrs', nvrs.filter(item => item.id !== nvr.id).concat([
+                        {
+                            id: nvr.id,
+                            name: nvr.name,
+                            nvrip: nvr.nvrip,
+                            nvrport: nvr.nvrport,
+                            credentials: auth.toSettings(),
+                            tls: nvr.tls,
+                        },
+                    ]));
+                    return callback(null, nvr.id);
+                })
+                .catch(error => {
+                    callback(new Error(scrub(error.message || error, [credentials.password, credentials.apiKey])));
+                })
+                .finally(() => api.destroy());
+        },
+    },
+    {
+        method: 'GET',
+        path: '/realtime',
+        fn(args, callback) {
+            return callback(null, Homey.app.getRealtimeInfo());
+        },
+    },
+    {
+        method: 'GET',
+        path: '/realtime/:nvr',
+        fn(args, callback) {
+            // The current state to apply the realtime updates to
+            const api = Homey.app.getApi(args.params.nvr);
+            if (!api) {
+                return callback(new Error('Unknown NVR.'));
+            }
+
+            const state = api.getDeviceState();
+            if (!state) {
+                return callback(new Error('The NVR is not connected yet.'));
+            }
+            return callback(null, state);
+        },
+    },
+    {
+        method: 'GET',
+        path: '/archive',
+        fn(args, callback) {
+            // List the archived snapshots of all cameras, with the names of the paired cameras
+            const cameraNames = {};
+            Homey.ManagerDrivers.getDriver('protectcamera').getDevices().forEach(device => {
+                cameraNames[device.getData().id] = device.getName();
+            });
+
+            Homey.app.archive.getCameraIds()
+                .then(cameraIds => Promise.all(cameraIds.map(cameraId => Homey.app.archive.list(cameraId))))
+                .then(lists => {
+                    const snapshots = [].concat(...lists)
+                        .map(snapshot => Object.assign(snapshot, { name: cameraNames[snapshot.camera] || snapshot.camera }))
+                        .sort((a, b) => b.timestamp - a.timestamp);
+                    return callback(null, snapshots);
+                })
+                .catch(error => {
+                    callback(error);
+                });
+        },
+    },
+    {
+        method: 'GET',
+        path: '/archive/:camera',
+        fn(args, callback) {
+            Homey.app.archive.list(args.params.camera)
+                .then(result => {
+                    return callback(null, result);
+                })
+                .catch(error => {
+                    callback(error);
+                });
+        },
+    },
+    {
+        method: 'GET',
+        path: '/archive/:camera/:id',
+        fn(args, callback) {
+            // Return the snapshot as data URL, so it can be shown right away
+            Homey.app.archive.get(args.params.camera, args.params.id)
+                .then(buffer => {
+                    return callback(null, {
+                        id: args.params.id,
+                        camera: args.params.camera,
+                        image: `data:image/jpeg;base64,${buffer.toString('base64')}`,
+                    });
+                })
+                .catch(error => {
+                    callback(error);
+                });
+        },
+    },
+    {
+        method: 'DELETE',
+        path: '/archive/:camera/:id',
+        fn(args, callback) {
+            Homey.app.archive.remove(args.params.camera, args.params.id)
+                .then(result => {
+                    return callback(null, result);
+                })
+                .catch(error => {
+                    callback(error);
+                });
+        },
+    },
+    {
+        method: 'GET',
+        path: '/sounds',
+        fn(args, callback) {
+            Homey.app.sounds.list()
+                .then(result => {
+                    return callback(null, result);
+                })
+                .catch(error => {
+                    callback(error);
+                });
+        },
+    },
+    {
+        method: 'POST',
+        path: '/sounds',
+        fn(args, callback) {
+            // The settings page sends the file as base64
+            const sound = args.body || {};
+            if (!sound.name || !sound.data) {
+                return callback(new Error('Invalid sound.'));
+            }
+
+            Homey.app.sounds.store(sound.name, Buffer.from(sound.data, 'base64'))
+                .then(result => {
+                    return callback(null, result);
+                })
+                .catch(error => {
+                    callback(error);
+                });
+        },
+    },
+    {
+        method: 'DELETE',
+        path: '/sounds/:id',
+        fn(args, callback) {
+            Homey.app.sounds.remove(args.params.id)
                 .then(result => {
                     return callback(null, result);
                 })
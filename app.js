@@ -3,23 +3,26 @@
 
 const Homey = require('homey');
 const ProtectAPI = require('./library/protectapi');
+const ProtectSnapshotArchive = require('./library/archive');
+const ProtectSoundLibrary = require('./library/sounds');
+const ProtectConnection = require('./library/connection');
+const { createAuthProvider } = require('./library/auth');
 const UfvConstants = require('./library/constants');
 
 const ManagerApi = Homey.ManagerApi;
 
-// 2700000 miliseconds is 45 minutes
-const RefreshCookieTime = 2700000;
-
 class UniFiProtect extends Homey.App {
     /**
      * onInit is called when the app is initialized.
      */
     async onInit() {
-        this.loggedIn = false;
-        this.nvrIp = null;
-        this.nvrPort = null;
-        this.nvrUsername = null;
-        this.nvrPassword = null;
+        this.controllers = {};
+
+        // When the statistics of every device were last passed on as realtime update
+        this._realtimeStatsSent = {};
+
+        // Devices waiting for their controller to be added
+        this._controllerWaiters = [];
 
         // Enable remote debugging, if applicable
         if (Homey.env.DEBUG === 'true') {
@@ -28,19 +31,38 @@ class UniFiProtect extends Homey.App {
                 .open(9229, '0.0.0.0');
         }
 
-        // Single API instance for all devices
-        this.api = new ProtectAPI();
-
         // Register snapshot image token
         this._registerSnapshotToken();
 
-        // Subscribe to credentials updates
+        // Register NVR connection flow cards
+        this._registerConnectionFlowCards();
+
+        // Archive of snapshots, remove the snapshots that are too old every now and then
+        this.archive = new ProtectSnapshotArchive();
+        this.archive.cleanUp()
+            .catch(error => this.error(error));
+        this._archiveCleanUpTimer = setInterval(() => {
+            this.archive.cleanUp()
+                .catch(error => this.error(error));
+        }, UfvConstants.ARCHIVE_CLEANUP_INTERVAL * 1000);
+
+        // Sounds to play through the speaker of a camera
+        this.sounds = new ProtectSoundLibrary();
+
+        // Subscribe to controller updates
         Homey.ManagerSettings.on('set', key => {
-            if (key === 'ufp:credentials') {
-                this._appLogin();
+            if (key === 'ufp:nvrs') {
+                this._loadControllers();
+            }
+
+            // A changed certificate may have been trusted on the settings page
+            if (key === 'ufp:certificates') {
+                this._reconnectControllers();
             }
         });
-        this._appLogin();
+        this._migrateSettings();
+        this._encryptCredentials();
+        this._loadControllers();
 
 
         Homey.app.debug('UniFiProtect has been initialized');
@@ -55,72 +77,252 @@ class UniFiProtect extends Homey.App {
         Homey.ManagerFlow.registerToken(this.snapshotToken);
     }
 
-    _appLogin() {
-        Homey.app.debug('Logging in...');
+    _registerConnectionFlowCards() {
+        // NVR connection lost or restored trigger
+        this._nvrConnectionChangedTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_NVR_CONNECTION_CHANGED);
+        this._nvrConnectionChangedTrigger
+            .register()
+            .registerRunListener((args, state) => Promise.resolve(
+                (args.nvr.id === 'any' || args.nvr.id === state.nvr)
+                && (args.status === 'any' || args.status === state.status),
+            ));
+        this._nvrConnectionChangedTrigger.getArgument('nvr')
+            .registerAutocompleteListener(query => this._getNvrArguments(query, true));
+
+        // NVR connected condition
+        this._nvrConnectedCondition = new Homey.FlowCardCondition(UfvConstants.CONDITION_NVR_CONNECTED);
+        this._nvrConnectedCondition
+            .register()
+            .registerRunListener((args, state) => {
+                const controller = this.controllers[args.nvr.id];
+                return Promise.resolve(!!controller && controller.connection.isConnected());
+            });
+        this._nvrConnectedCondition.getArgument('nvr')
+            .registerAutocompleteListener(query => this._getNvrArguments(query, false));
+
+        // NVR certificate changed trigger
+        this._nvrCertificateChangedTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_NVR_CERTIFICATE_CHANGED);
+        this._nvrCertificateChangedTrigger.register();
+    }
+
+    _getNvrArguments(query, includeAny) {
+        const nvrs = this.getControllers();
+        if (includeAny) {
+            nvrs.unshift({ id: 'any', name: Homey.__('events.nvr_connection.any') });
+        }
+
+        return Promise.resolve(nvrs
+            .filter(nvr => nvr.name.toLowerCase().includes(query.toLowerCase())));
+    }
+
+    _onConnectionChanged(controller, connected) {
+        Homey.app.debug(`Connection with ${controller.name} ${connected ? 'restored' : 'lost'}.`);
+
+        this._nvrConnectionChangedTrigger.trigger({
+            ufp_nvr_connection_nvr: controller.name,
+            ufp_nvr_connection_status: connected,
+        }, {
+            nvr: controller.id,
+            status: connected ? 'restored' : 'lost',
+        })
+            .catch(error => this.error(error));
+    }
+
+    _onCertificateRejected(controller, fingerprint) {
+        Homey.app.debug(`Changed certificate of ${controller.name} rejected.`);
+
+        this._nvrCertificateChangedTrigger.trigger({
+            ufp_nvr_certificate_nvr: controller.name,
+            ufp_nvr_certificate_fingerprint: fingerprint,
+        })
+            .catch(error => this.error(error));
+    }
+
+    // Pass the realtime updates of a controller on to companion apps and dashboards, as <modelKey>.<action>
+    _onRealtimeUpdate(update) {
+        const fields = Object.keys(update.payload);
+        if (fields.length > 0 && fields.every(field => UfvConstants.REALTIME_STATS_FIELDS.includes(field))) {
+            const key = `${update.nvr}.${update.modelKey}.${update.id}`;
+            const now = Date.now();
+            if (now - (this._realtimeStatsSent[key] || 0) < UfvConstants.REALTIME_STATS_INTERVAL * 1000) {
+                return;
+            }
+            this._realtimeStatsSent[key] = now;
+        }
+
+        ManagerApi.realtime(`${UfvConstants.EVENT_REALTIME_PREFIX}${update.modelKey}.${update.action}`, update);
+    }
+
+    // Move the single NVR settings of previous versions to the list of controllers
+    _migrateSettings() {
+        if (Homey.ManagerSettings.get('ufp:nvrs')) {
+            return;
+        }
 
-        // Validate NVR IP address
         const nvrip = Homey.ManagerSettings.get('ufp:nvrip');
-        if (!nvrip) {
-            Homey.app.debug('NVR IP address not set.');
+        const credentials = Homey.ManagerSettings.get('ufp:credentials');
+        if (!nvrip || !credentials) {
             return;
         }
 
-        // Setting NVR Port when set
-        const nvrport = Homey.ManagerSettings.get('ufp:nvrport');
+        Homey.app.debug('Migrating NVR settings.');
+        Homey.ManagerSettings.set('ufp:nvrs', [
+            {
+                id: UfvConstants.DEFAULT_CONTROLLER_ID,
+                name: nvrip,
+                nvrip,
+                nvrport: Homey.ManagerSettings.get('ufp:nvrport'),
+                credentials,
+            },
+        ]);
+        Homey.ManagerSettings.unset('ufp:nvrip');
+        Homey.ManagerSettings.unset('ufp:nvrport');
+        Homey.ManagerSettings.unset('ufp:credentials');
+    }
 
-        // Validate NVR credentials
-        const credentials = Homey.ManagerSettings.get('ufp:credentials');
-        if (!credentials) {
-            Homey.app.debug('Credentials not set.');
+    // Encrypt the passwords saved in plain text by previous versions
+    _encryptCredentials() {
+        const nvrs = Homey.ManagerSettings.get('ufp:nvrs') || [];
+        if (!nvrs.some(nvr => nvr.credentials && !nvr.credentials.type)) {
             return;
         }
 
-        // Log in to NVR
-        this.api.login(nvrip, nvrport, credentials.username, credentials.password)
-            .then(() => {
-                this.api.getBootstrapInfo()
-                    .then(() => {
-                        Homey.app.debug('Bootstrap loaded.');
-                        this.loggedIn = true;
-                        this.nvrIp = nvrip;
-                        this.nvrPort = nvrport;
-                        this.nvrUsername = credentials.username;
-                        this.nvrPassword = credentials.password;
-
-                        // _refreshCookie after 45 minutes
-                        const timeOutFunction = function () {
-                            this._refreshCookie();
-                        }.bind(this);
-                        setTimeout(timeOutFunction, RefreshCookieTime);
-
-                        Homey.app.debug('Logged in.');
-                    })
-                    .catch(error => this.error(error));
-            })
+        Homey.app.debug('Encrypting NVR credentials.');
+        Homey.ManagerSettings.set('ufp:nvrs', nvrs.map(nvr => {
+            return Object.assign({}, nvr, {
+                credentials: nvr.credentials ? createAuthProvider(nvr.credentials).toSettings() : nvr.credentials,
+            });
+        }));
+    }
+
+    _loadControllers() {
+        const nvrs = Homey.ManagerSettings.get('ufp:nvrs') || [];
+        const nvrIds = nvrs.map(nvr => nvr.id);
+
+        // Disconnect controllers that have been removed
+        Object.keys(this.controllers).forEach(id => {
+            if (!nvrIds.includes(id)) {
+                Homey.app.debug(`Removing controller ${id}.`);
+                this._removeController(this.controllers[id]);
+                delete this.controllers[id];
+            }
+        });
+
+        nvrs.forEach(nvr => {
+            let controller = this.controllers[nvr.id];
+            if (!controller) {
+                // Every controller has its own API instance and connection
+                controller = {
+                    id: nvr.id,
+                    api: new ProtectAPI(nvr.id),
+                };
+                controller.connection = new ProtectConnection(controller, this._onConnectionChanged.bind(this));
+                controller.api.trust.setRejectedListener(fingerprint => this._onCertificateRejected(controller, fingerprint));
+                controller.api.ws.on('update', update => this._onRealtimeUpdate(update));
+                this.controllers[nvr.id] = controller;
+            }
+
+            controller.name = nvr.name || nvr.nvrip;
+
+            // Only connect again when how to connect has changed, saving the settings of another controller or renaming
+            // this one leaves the connection alone
+            const connectSettings = JSON.stringify([nvr.nvrip, nvr.nvrport, nvr.credentials, nvr.tls]);
+            if (controller.connectSettings === connectSettings) {
+                return;
+            }
+            controller.connectSettings = connectSettings;
+
+            controller.nvrIp = nvr.nvrip;
+            controller.nvrPort = nvr.nvrport;
+            controller.auth = createAuthProvider(nvr.credentials);
+            controller.api.trust.setSettings(nvr.tls);
+
+            controller.connection.connect();
+        });
+
+        // Devices waiting for a controller that has been added
+        this._controllerWaiters = this._controllerWaiters.filter(waiter => {
+            if (!this._getController(waiter.nvrId)) {
+                return true;
+            }
+            waiter.resolve();
+            return false;
+        });
+    }
+
+    // Connect again to the controllers waiting for their backoff
+    _reconnectControllers() {
+        Object.values(this.controllers).forEach(controller => {
+            if (controller.connection.getState() === UfvConstants.CONNECTION_STATES.BACKOFF) {
+                controller.connection.connect();
+            }
+        });
+    }
+
+    _removeController(controller) {
+        controller.connection.disconnect()
+            .then(() => controller.api.destroy())
             .catch(error => this.error(error));
     }
 
-    _refreshCookie() {
-        if (this.loggedIn) {
-            this.api._lastUpdateId = null;
-            this.api.login(this.nvrIp, this.nvrPort, this.nvrUsername, this.nvrPassword)
-                .then(() => {
-                    Homey.app.debug('Logged in again to refresh cookie.');
-                    this.api.getBootstrapInfo()
-                        .then(() => {
-                            this.log('Bootstrap loaded.');
-                            this.loggedIn = true;
-                        })
-                        .catch(error => this.error(error));
-                })
-                .catch(error => this.error(error));
+    getControllers() {
+        return Object.values(this.controllers).map(controller => {
+            return {
+                id: controller.id,
+                name: controller.name,
+            };
+        });
+    }
+
+    // Return the realtime events companion apps can subscribe to, and the controllers they come from.
+    getRealtimeInfo() {
+        const events = [];
+        UfvConstants.REALTIME_MODEL_KEYS.forEach(modelKey => {
+            UfvConstants.REALTIME_ACTIONS.forEach(action => {
+                events.push(`${UfvConstants.EVENT_REALTIME_PREFIX}${modelKey}.${action}`);
+            });
+        });
+
+        return {
+            events,
+            nvrs: Object.values(this.controllers).map(controller => {
+                return {
+                    id: controller.id,
+                    name: controller.name,
+                    connected: controller.connection.isConnected(),
+                    lastUpdateId: controller.api.getLastUpdateId(),
+                };
+            }),
+        };
+    }
+
+    _getController(nvrId) {
+        // Devices paired before multiple controllers were supported belong to the first controller
+        if (!nvrId) {
+            const controllers = Object.values(this.controllers);
+            return controllers.length > 0 ? controllers[0] : null;
+        }
+
+        return this.controllers[nvrId] || null;
+    }
+
+    getApi(nvrId) {
+        const controller = this._getController(nvrId);
+        return controller ? controller.api : null;
+    }
+
+    // Resolve once the bootstrap of a controller has been loaded, devices wait for it before they are initialized. The
+    // devices of a controller that isn't there wait for it to be added on the settings page.
+    waitForBootstrap(nvrId) {
+        const controller = this._getController(nvrId);
+        if (controller) {
+            return controller.connection.whenBootstrapped();
         }
 
-        // _refreshCookie after 45 minutes
-        const timeOutFunction = function () {
-            this._refreshCookie();
-        }.bind(this);
-        setTimeout(timeOutFunction, RefreshCookieTime);
+        return new Promise(resolve => {
+            this._controllerWaiters.push({ nvrId, resolve });
+        })
+            .then(() => this.waitForBootstrap(nvrId));
     }
 
     debug() {
@@ -1,16 +1,50 @@
 'use strict';
 
 const Homey = require('homey');
-const fetch = require('node-fetch');
-const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
 const UfvConstants = require('../../library/constants');
+const ProtectAbortController = require('../../library/abort');
+const ProtectContactSheet = require('../../library/contactsheet');
+const { fetchAudio } = require('../../library/audio');
+const CAMERA_SETTINGS = require('../../library/camerasettings');
+const CAMERA_ZONES = require('../../library/camerazones');
+
+const mkdir = util.promisify(fs.mkdir);
+const pipeline = util.promisify(stream.pipeline);
+const readdir = util.promisify(fs.readdir);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
 
 class Camera extends Homey.Device {
   /**
    * onInit is called when the device is initialized.
    */
   async onInit() {
-    await this.waitForBootstrap();
+    // Aborts the requests in progress, like a clip export, when the device is deleted
+    this._abortController = new ProtectAbortController();
+
+    // Live state of the camera, kept by the websocket updates, for the flow conditions. It exists before the bootstrap
+    // has been loaded, so the conditions don't fail before then
+    this._state = {
+      isRecording: null,
+      isConnected: null,
+      isDark: null,
+      isMicEnabled: null,
+      recordingMode: null,
+      isMotionDetected: false,
+      lastMotionAt: null,
+    };
+
+    if (!this.api) {
+      this.setUnavailable(Homey.__('errors.nvr_not_found'))
+          .catch(this.error);
+    }
+
+    this.waitForBootstrap()
+        .catch(this.error);
     Homey.app.debug('UnifiCamera Device has been initialized');
   }
 
@@ -31,6 +65,14 @@ class Camera extends Homey.Device {
    */
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     Homey.app.debug('UnifiCamera Device settings where changed');
+
+    // The new limits of the archive are applied once the settings are saved
+    if (changedKeys.includes('archive_max_count') || changedKeys.includes('archive_max_age')) {
+      setImmediate(() => {
+        Homey.app.archive.applyRetention(this.getData().id)
+            .catch(this.error);
+      });
+    }
   }
 
   /**
@@ -46,67 +88,67 @@ class Camera extends Homey.Device {
    * onDeleted is called when the user deleted the device.
    */
   async onDeleted() {
+    this._abortController.abort();
+    if (this._smartDetectionTimers) {
+      Object.values(this._smartDetectionTimers).forEach(timer => clearTimeout(timer));
+    }
     Homey.app.debug('UnifiCamera Device has been deleted');
   }
 
   async initCamera() {
     this.camera = this.getData();
     this.device = this;
+    this._motionEvent = null;
+    this._lastMotionEventId = null;
+    this._lastMotionEventEnd = 0;
+    this._motionEndedImage = null;
 
-    // Snapshot trigger
-    this._snapshotTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_SNAPSHOT_CREATED);
-    this._snapshotTrigger.register();
-
-    // Connection Status trigger
-    this._connectionStatusTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_CONNECTION_CHANGED);
-    this._connectionStatusTrigger.register();
-
-    // Connection Status trigger
-    this._doorbellRingingTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_DOORBELL_RINGING);
-    this._doorbellRingingTrigger.register();
-
-    // Action 'take snapshot'
-    new Homey.FlowCardAction(UfvConstants.ACTION_TAKE_SNAPSHOT)
-        .register()
-        .registerRunListener((args, state) => {
-          if (typeof args.device.getData().id !== 'undefined') {
-            this._onSnapshotBuffer(args.device.getData(), args.width)
-                .catch(this.error.bind(this, 'Could not take snapshot.'));
-          }
+    // Zone changes in progress, every change waits for the previous one
+    this._zoneChanges = Promise.resolve();
 
-          return Promise.resolve(true);
-        });
+    // Privacy mode changes in progress, every change waits for the previous one
+    this._privacyModeChanges = Promise.resolve();
 
-    // Action 'set recording mode'
-    new Homey.FlowCardAction(UfvConstants.ACTION_SET_RECORDING_MODE)
-        .register()
-        .registerRunListener((args, state) => {
-          if (typeof args.device.getData().id !== 'undefined') {
-            Homey.app.api.setRecordingMode(args.device.getData(), args.recording_mode)
-                .then(Homey.app.debug.bind(this, '[recordingmode.set]'))
-                .catch(this.error.bind(this, '[recordingmode.set]'));
-          }
+    this.registerCapabilityListener('camera_ptz_patrol', async (value) => {
+      Homey.app.debug('camera_ptz_patrol');
+      if (value) {
+        return this._startPtzPatrol();
+      }
+      return this.api.ptzStopPatrol(this.camera);
+    });
 
-          return Promise.resolve(true);
-        });
+    this.registerCapabilityListener('camera_privacy_mode', async (value) => {
+      Homey.app.debug('camera_privacy_mode');
+      return this._setPrivacyMode(value);
+    });
 
     this.registerCapabilityListener('camera_microphone_volume', async (value) => {
       Homey.app.debug('camera_microphone_volume');
-      Homey.app.api.setMicVolume(this.camera, value)
+      this.api.setMicVolume(this.camera, value)
           .catch(this.error);
     });
 
     await this._createSnapshotImage();
+    await this._createMotionEventImages();
     await this._createMissingCapabilities();
+    await this._createSmartDetectionCapabilities();
+    await this._createDoorbellCapabilities();
+    await this._createPtzCapabilities();
+    await this._createSettingCapabilities();
     await this._initCameraData();
   }
 
+  // The API of the controller of the device, which may be added or replaced on the settings page later on.
+  get api() {
+    return Homey.app.getApi(this.getData().nvr);
+  }
+
   async waitForBootstrap() {
-    if (typeof Homey.app.api.getLastUpdateId() !== 'undefined' && Homey.app.api.getLastUpdateId() !== null) {
-      await this.initCamera();
-    } else {
-      setTimeout(this.waitForBootstrap.bind(this), 250);
+    await Homey.app.waitForBootstrap(this.getData().nvr);
+    if (!this.getAvailable()) {
+      await this.setAvailable();
     }
+    await this.initCamera();
   }
 
   async _createMissingCapabilities() {
@@ -162,18 +204,304 @@ class Camera extends Homey.Device {
       this.addCapability('camera_connection_status');
       Homey.app.debug(`created capability camera_connection_status for ${this.getName()}`);
     }
+    if (!this.hasCapability('camera_privacy_mode')) {
+      this.addCapability('camera_privacy_mode');
+      Homey.app.debug(`created capability camera_privacy_mode for ${this.getName()}`);
+    }
     if (!this.hasCapability('last_ring_at')) {
       this.addCapability('last_ring_at');
       Homey.app.debug(`created capability last_ring_at for ${this.getName()}`);
     }
   }
 
+  async _createSmartDetectionCapabilities() {
+    this._smartDetectionTimers = {};
+    this._lastSmartDetectionEventId = null;
+
+    const cameraInfo = this._getBootstrapCamera();
+    if (!cameraInfo) {
+      return;
+    }
+
+    // Only add the smart detection types the camera reports it supports
+    const supportedTypes = (cameraInfo.featureFlags && cameraInfo.featureFlags.smartDetectTypes) || [];
+
+    UfvConstants.SMART_DETECT_TYPES.forEach(smartDetectType => {
+      const capability = `alarm_smart_${smartDetectType}`;
+
+      if (supportedTypes.includes(smartDetectType) && !this.hasCapability(capability)) {
+        this.addCapability(capability);
+        Homey.app.debug(`created capability ${capability} for ${this.getName()}`);
+      }
+    });
+  }
+
+  async _createDoorbellCapabilities() {
+    const cameraInfo = this._getBootstrapCamera();
+    if (!cameraInfo || !cameraInfo.featureFlags || !cameraInfo.featureFlags.hasLcdScreen) {
+      return;
+    }
+
+    if (!this.hasCapability('doorbell_lcd_message')) {
+      this.addCapability('doorbell_lcd_message');
+      Homey.app.debug(`created capability doorbell_lcd_message for ${this.getName()}`);
+    }
+  }
+
+  async _createPtzCapabilities() {
+    const cameraInfo = this._getBootstrapCamera();
+    if (!cameraInfo || !cameraInfo.featureFlags || !cameraInfo.featureFlags.isPtz) {
+      return;
+    }
+
+    if (!this.hasCapability('camera_ptz_patrol')) {
+      this.addCapability('camera_ptz_patrol');
+      Homey.app.debug(`created capability camera_ptz_patrol for ${this.getName()}`);
+    }
+  }
+
+  // Add a capability for every hardware setting the camera supports, changing it changes the setting.
+  async _createSettingCapabilities() {
+    const cameraInfo = this._getBootstrapCamera();
+    if (!cameraInfo) {
+      return;
+    }
+
+    Object.keys(CAMERA_SETTINGS).forEach(key => {
+      const setting = CAMERA_SETTINGS[key];
+      if (!setting.capability || !setting.isSupported(cameraInfo)) {
+        return;
+      }
+
+      if (!this.hasCapability(setting.capability)) {
+        this.addCapability(setting.capability);
+        Homey.app.debug(`created capability ${setting.capability} for ${this.getName()}`);
+      }
+
+      this.registerCapabilityListener(setting.capability, async (value) => {
+        Homey.app.debug(setting.capability);
+        return this._setCameraSettings({ [key]: value });
+      });
+    });
+  }
+
+  _setCameraSettings(settings) {
+    return this.api.patchCameraSettings(this.camera, settings);
+  }
+
+  // Return the zones of the camera with whether they are turned on.
+  _getZoneStates(cameraInfo) {
+    const zones = [];
+
+    UfvConstants.CAMERA_ZONE_TYPES.forEach(type => {
+      (cameraInfo[type] || []).forEach(zone => zones.push({ type, name: zone.name, enabled: CAMERA_ZONES[type].isEnabled(zone) }));
+    });
+
+    return zones;
+  }
+
+  _getZones(query) {
+    const cameraInfo = this._getBootstrapCamera();
+    if (!cameraInfo) {
+      return Promise.resolve([]);
+    }
+
+    return Promise.resolve(this._getZoneStates(cameraInfo)
+        .filter(zone => String(zone.name).toLowerCase().includes(query.toLowerCase()))
+        .map(zone => {
+          return {
+            name: zone.name,
+            description: `${Homey.__(`events.zones.${zone.type}`)} (${Homey.__(`events.zones.${zone.enabled ? 'on' : 'off'}`)})`,
+            type: zone.type,
+          };
+        }));
+  }
+
+  // Turn zones on and off, the settings of the zones that are turned off are kept to restore them. Changes are made one
+  // after the other, so they all start from the zone settings the previous change saved.
+  _setZonesEnabled(changes) {
+    const result = this._zoneChanges
+      .then(() => this.api.setZonesEnabled(this.camera, changes, this.getStoreValue('zoneSettings') || {}))
+      .then(zoneSettings => this.setStoreValue('zoneSettings', zoneSettings))
+      .then(() => `Zones ${changes.map(change => `${change.name} ${change.enabled ? 'on' : 'off'}`).join(', ')}.`);
+
+    this._zoneChanges = result.catch(() => null);
+    return result;
+  }
+
+  // Change whether detecting an object type triggers a recording.
+  async _setSmartDetectRecording(smartDetectType, enabled) {
+    const cameraInfo = await this.api.findCameraById(this.camera.id);
+    const objectTypes = (CAMERA_SETTINGS.smartDetectTypes.read(cameraInfo) || []).filter(type => type !== smartDetectType);
+    if (enabled) {
+      objectTypes.push(smartDetectType);
+    }
+
+    return this._setCameraSettings({ smartDetectTypes: objectTypes });
+  }
+
+  // Save the recording settings and the zones that are turned on and off under a name, to apply them later on.
+  async _saveRecordingProfile(name) {
+    const profileName = String(name).trim();
+    if (!profileName) {
+      throw new Error('Invalid profile name.');
+    }
+
+    const cameraInfo = await this.api.findCameraById(this.camera.id);
+    const settings = {};
+    UfvConstants.RECORDING_PROFILE_SETTINGS.forEach(key => {
+      const setting = CAMERA_SETTINGS[key];
+      const value = setting.isSupported(cameraInfo) ? setting.read(cameraInfo) : undefined;
+      if (typeof value !== 'undefined' && value !== null) {
+        settings[key] = value;
+      }
+    });
+
+    const profiles = this.getStoreValue('recordingProfiles') || {};
+    profiles[profileName] = {
+      settings,
+      zones: this._getZoneStates(cameraInfo),
+    };
+    await this.setStoreValue('recordingProfiles', profiles);
+
+    return `Recording profile ${profileName} saved.`;
+  }
+
+  async _applyRecordingProfile(name) {
+    const profile = (this.getStoreValue('recordingProfiles') || {})[name];
+    if (!profile) {
+      throw new Error(`Unknown recording profile ${name}.`);
+    }
+
+    if (Object.keys(profile.settings).length > 0) {
+      await this._setCameraSettings(profile.settings);
+    }
+
+    // Zones that have been removed on the NVR since the profile was saved are left out
+    const cameraInfo = await this.api.findCameraById(this.camera.id);
+    const zones = this._getZoneStates(cameraInfo);
+    const changes = profile.zones.filter(change => zones.some(zone => zone.type === change.type && zone.name === change.name && zone.enabled !== change.enabled));
+    if (changes.length > 0) {
+      await this._setZonesEnabled(changes);
+    }
+
+    return `Recording profile ${name} applied.`;
+  }
+
+  _getRecordingProfiles(query) {
+    const profiles = this.getStoreValue('recordingProfiles') || {};
+
+    return Promise.resolve(Object.keys(profiles)
+        .filter(name => name.toLowerCase().includes(query.toLowerCase()))
+        .sort()
+        .map(name => {
+          return {
+            name,
+          };
+        }));
+  }
+
+  // Show the hardware settings of a camera update, or of the camera itself, on the capabilities.
+  onCameraSettings(payload) {
+    Object.values(CAMERA_SETTINGS).forEach(setting => {
+      if (!setting.capability || !this.hasCapability(setting.capability)) {
+        return;
+      }
+
+      const value = setting.read(payload);
+      if (typeof value !== 'undefined' && value !== null) {
+        this.setCapabilityValue(setting.capability, value)
+            .catch(this.error);
+      }
+    });
+  }
+
+  _getPtzPresets(query) {
+    return this.api.findCameraById(this.camera.id)
+        .then(cameraInfo => this.api.getPtzPresets(cameraInfo))
+        .then(presets => [{ slot: UfvConstants.PTZ_HOME_SLOT, name: Homey.__('events.ptz.home') }].concat(presets)
+            .filter(preset => String(preset.name).toLowerCase().includes(query.toLowerCase()))
+            .map(preset => {
+              return {
+                slot: preset.slot,
+                name: preset.name,
+              };
+            }));
+  }
+
+  // Start the patrol that ran last, or the first patrol of the camera when none has run yet.
+  async _startPtzPatrol() {
+    let slot = this.getStoreValue('lastPatrolSlot');
+    if (slot === null || typeof slot === 'undefined') {
+      const patrols = await this.api.getPtzPatrols(this.camera);
+      if (patrols.length === 0) {
+        throw new Error(Homey.__('errors.no_ptz_patrols'));
+      }
+      slot = patrols[0].slot;
+    }
+
+    return this.api.ptzStartPatrol(this.camera, slot);
+  }
+
+  _getPtzPatrols(query) {
+    return this.api.getPtzPatrols(this.camera)
+        .then(patrols => patrols
+            .filter(patrol => String(patrol.name).toLowerCase().includes(query.toLowerCase()))
+            .map(patrol => {
+              return {
+                slot: patrol.slot,
+                name: patrol.name,
+              };
+            }));
+  }
+
+  _getBootstrapCamera() {
+    const bootstrap = this.api.getBootstrap();
+    if (!bootstrap) {
+      return null;
+    }
+
+    return bootstrap.cameras.find(camera => camera.id === this.camera.id) || null;
+  }
+
+  // Return the names of the smart detection zones an object type was detected in. The metadata of the event holds the
+  // ids of the zones of every detected object.
+  _getSmartDetectionZoneNames(smartDetectType, metadata) {
+    const cameraInfo = this._getBootstrapCamera();
+    if (!cameraInfo || !Array.isArray(cameraInfo.smartDetectZones) || !metadata || !Array.isArray(metadata.detectedThumbnails)) {
+      return '';
+    }
+
+    const zoneIds = [];
+    metadata.detectedThumbnails
+        .filter(thumbnail => thumbnail.type === smartDetectType && thumbnail.attributes && Array.isArray(thumbnail.attributes.zone))
+        .forEach(thumbnail => thumbnail.attributes.zone.forEach(zoneId => {
+          if (!zoneIds.includes(zoneId)) {
+            zoneIds.push(zoneId);
+          }
+        }));
+
+    return cameraInfo.smartDetectZones
+        .filter(zone => zoneIds.includes(zone.id))
+        .map(zone => zone.name)
+        .join(', ');
+  }
+
   async _initCameraData() {
-    const cameraData = Homey.app.api.getBootstrap();
+    const cameraData = this.api.getBootstrap();
 
     if (cameraData) {
       cameraData.cameras.forEach((camera) => {
         if (camera.id === this.camera.id) {
+          Object.assign(this._state, {
+            isRecording: camera.isRecording,
+            isConnected: camera.isConnected,
+            isDark: camera.isDark,
+            isMicEnabled: camera.isMicEnabled,
+            recordingMode: camera.recordingSettings ? camera.recordingSettings.mode : null,
+            isMotionDetected: camera.isMotionDetected === true,
+            lastMotionAt: camera.lastMotion || null,
+          });
 
           if (this.hasCapability('camera_recording_status')) {
             this.setCapabilityValue('camera_recording_status', camera.isRecording);
@@ -192,6 +520,16 @@ class Camera extends Homey.Device {
           if (this.hasCapability('camera_microphone_volume')) {
             this.setCapabilityValue('camera_microphone_volume', camera.micVolume);
           }
+          if (this.hasCapability('camera_privacy_mode')) {
+            this.setCapabilityValue('camera_privacy_mode', Boolean(this.getStoreValue('privacyModeSettings')));
+          }
+          if (this.hasCapability('doorbell_lcd_message')) {
+            this.onLcdMessage(camera.lcdMessage);
+          }
+          if (this.hasCapability('camera_ptz_patrol')) {
+            this.onActivePatrolSlot(camera.activePatrolSlot);
+          }
+          this.onCameraSettings(camera);
           if (this.hasCapability('camera_connection_status')) {
             if (this.getCapabilityValue('camera_connection_status') !== camera.isConnected) {
               this.onConnectionChanged(camera.isConnected);
@@ -207,6 +545,7 @@ class Camera extends Homey.Device {
   onMotionStart() {
     Homey.app.debug('onMotionStart');
     this.setCapabilityValue('alarm_motion', true);
+    this._archiveMotionSnapshot();
   }
 
   onMotionEnd() {
@@ -217,6 +556,7 @@ class Camera extends Homey.Device {
   onIsDark(isDark) {
     // Debug information about playload
     Homey.app.debug(JSON.stringify(isDark));
+    this._state.isDark = isDark;
     if (this.hasCapability('camera_nightvision_status')) {
       this.setCapabilityValue('camera_nightvision_status', isDark);
     }
@@ -234,13 +574,28 @@ class Camera extends Homey.Device {
 
     // Check if the event date is newer
     if (lastRing > lastRingAt) {
-      this._doorbellRingingTrigger.trigger({
+      // Keep the last ring, so an update with an older ring doesn't trigger the flows again
+      this.setCapabilityValue('last_ring_at', lastRing)
+          .catch(this.error);
+
+      const driver = this.getDriver();
+      driver._doorbellRingingTrigger.trigger({
         ufp_ringing_camera: this.getName(),
       });
+      driver._cameraDoorbellRangTrigger.trigger(this, {
+        ufp_camera_snapshot: this._snapshotImage,
+      }).catch(this.error);
     }
   }
 
+  // Motion ends with an update that doesn't always carry lastMotion, so whether motion is detected is kept on its own
+  onIsMotionDetected(isMotionDetected) {
+    this._state.isMotionDetected = isMotionDetected === true;
+  }
+
   onMotionDetected(lastMotionTime, isMotionDetected) {
+    this._state.lastMotionAt = Math.max(this._state.lastMotionAt || 0, lastMotionTime);
+
     const lastMotionAt = this.getCapabilityValue('last_motion_at');
 
     if (!lastMotionAt) {
@@ -268,19 +623,254 @@ class Camera extends Homey.Device {
       this.onMotionEnd();
       this.setCapabilityValue('last_motion_at', lastMotionTime)
           .catch(this.error);
+
+      // Poll the events API when the websocket did not deliver the motion event
+      setTimeout(() => {
+        if (this._lastMotionEventEnd < lastMotionTime) {
+          this._pollMotionEvent();
+        }
+      }, UfvConstants.PROTECT_MOTION_EVENT_POLL_DELAY * 1000);
+    }
+  }
+
+  // Whether motion is detected now, or was detected in the last number of minutes.
+  isMotionSeenWithin(minutes) {
+    if (this._state.isMotionDetected) {
+      return true;
+    }
+
+    return !!this._state.lastMotionAt && Date.now() - this._state.lastMotionAt <= minutes * 60 * 1000;
+  }
+
+  onMotionEvent(eventId, payload) {
+    if (!this._motionEvent || this._motionEvent.id !== eventId) {
+      this._motionEvent = { id: eventId };
+    }
+    Object.assign(this._motionEvent, payload);
+
+    if (this._motionEvent.end) {
+      this._onMotionEventEnded(this._motionEvent);
+      this._motionEvent = null;
+    }
+  }
+
+  _pollMotionEvent() {
+    Homey.app.debug(`polling motion events for camera: ${this.getData().id}`);
+
+    this.api.getMotionEvents(this.camera.id, this._lastMotionEventEnd || null)
+        .then(events => {
+          const endedEvents = events
+              .filter(event => event.camera === this.camera.id && event.end && event.end > this._lastMotionEventEnd)
+              .sort((a, b) => a.end - b.end);
+
+          if (endedEvents.length > 0) {
+            this._onMotionEventEnded(endedEvents[endedEvents.length - 1]);
+          }
+        })
+        .catch(this.error.bind(this, 'Could not poll motion events.'));
+  }
+
+  _onMotionEventEnded(event) {
+    Homey.app.debug(`motion event ${event.id} ended on camera: ${this.getData().id}`);
+
+    this._lastMotionEventId = event.id;
+    this._lastMotionEventEnd = event.end;
+
+    if (typeof event.score === 'number') {
+      this.setCapabilityValue('last_motion_score', event.score)
+          .catch(this.error);
+    }
+
+    // Refresh the camera images with the new event
+    this._thumbnailImage.update()
+        .catch(this.error);
+    this._heatmapImage.update()
+        .catch(this.error);
+
+    // Every trigger gets its own image, so flows keep the thumbnail of their event
+    const eventId = event.id;
+    const thumbnailImage = new Homey.Image();
+    thumbnailImage.setStream(async stream => {
+      const buffer = await this.api.getEventThumbnail(eventId);
+      return stream.end(buffer);
+    });
+
+    thumbnailImage.register()
+        .then(() => {
+          // Only the image of the last event is kept
+          if (this._motionEndedImage) {
+            this._motionEndedImage.unregister()
+                .catch(this.error);
+          }
+          this._motionEndedImage = thumbnailImage;
+
+          const driver = this.getDriver();
+          return Promise.all([
+            driver._motionEndedTrigger.trigger({
+              ufp_motion_camera: this.getName(),
+              ufp_motion_event_id: String(eventId),
+              ufp_motion_thumbnail: thumbnailImage,
+              ufp_motion_score: Number(event.score) || 0,
+              ufp_motion_duration: Math.round((event.end - event.start) / 1000),
+            }),
+            driver._cameraMotionEndedTrigger.trigger(this, {
+              ufp_camera_event_id: String(eventId),
+              ufp_camera_thumbnail: thumbnailImage,
+              ufp_camera_score: Number(event.score) || 0,
+              ufp_camera_duration: Math.round((event.end - event.start) / 1000),
+            }),
+          ]);
+        })
+        .catch(this.error);
+  }
+
+  onSmartDetection(eventId, smartDetectType, score, metadata) {
+    Homey.app.debug(`smart detection ${smartDetectType} on camera: ${this.getData().id} (score: ${score})`);
+    this._setSmartDetectionAlarm(smartDetectType);
+
+    // Event add packets can be repeated, only trigger once for every event and type
+    const detectionId = `${eventId}:${smartDetectType}`;
+    if (this._lastSmartDetectionEventId === detectionId) {
+      return;
+    }
+    this._lastSmartDetectionEventId = detectionId;
+
+    const driver = this.getDriver();
+    const zone = this._getSmartDetectionZoneNames(smartDetectType, metadata);
+
+    driver._smartDetectionTrigger.trigger({
+      ufp_smart_detection_camera: this.getName(),
+      ufp_smart_detection_type: smartDetectType,
+      ufp_smart_detection_score: Number(score) || 0,
+      ufp_smart_detection_zone: zone,
+    }, {
+      type: smartDetectType,
+    }).catch(this.error);
+
+    driver._cameraSmartDetectionTrigger.trigger(this, {
+      ufp_camera_event_id: String(eventId),
+      ufp_camera_object_type: smartDetectType,
+      ufp_camera_score: Number(score) || 0,
+      ufp_camera_zone: zone,
+      ufp_camera_snapshot: this._snapshotImage,
+    }, {
+      type: smartDetectType,
+    }).catch(this.error);
+  }
+
+  onSmartDetectTypes(smartDetectTypes) {
+    if (!Array.isArray(smartDetectTypes)) {
+      return;
+    }
+
+    smartDetectTypes.forEach(smartDetectType => this._setSmartDetectionAlarm(smartDetectType));
+  }
+
+  _setSmartDetectionAlarm(smartDetectType) {
+    const capability = `alarm_smart_${smartDetectType}`;
+    if (!this.hasCapability(capability)) {
+      return;
+    }
+
+    this.setCapabilityValue(capability, true)
+        .catch(this.error);
+
+    // Clear the alarm when no new detection of this type came in
+    clearTimeout(this._smartDetectionTimers[smartDetectType]);
+    this._smartDetectionTimers[smartDetectType] = setTimeout(() => {
+      this.setCapabilityValue(capability, false)
+          .catch(this.error);
+    }, UfvConstants.PROTECT_SMART_DETECTION_DURATION * 1000);
+  }
+
+  onLcdMessage(lcdMessage) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(lcdMessage));
+    if (!this.hasCapability('doorbell_lcd_message')) {
+      return;
+    }
+
+    let message = '';
+    if (lcdMessage && lcdMessage.type === 'CUSTOM_MESSAGE') {
+      message = lcdMessage.text || '';
+    } else if (lcdMessage && lcdMessage.type) {
+      message = Homey.__(`events.lcd_message.${lcdMessage.type}`);
+    }
+
+    this.setCapabilityValue('doorbell_lcd_message', message)
+        .catch(this.error);
+  }
+
+  // Turn privacy mode on or off. Changes are made one after the other, so a change never starts before the settings from
+  // before privacy mode are saved or restored by the previous one.
+  _setPrivacyMode(enabled) {
+    const result = this._privacyModeChanges
+      .then(() => this._changePrivacyMode(enabled));
+
+    this._privacyModeChanges = result.catch(() => null);
+    return result;
+  }
+
+  async _changePrivacyMode(enabled) {
+    const previousSettings = this.getStoreValue('privacyModeSettings');
+
+    if (enabled && !previousSettings) {
+      // Keep the settings from before privacy mode, they are restored when it is turned off
+      const settings = await this.api.enablePrivacyMode(this.camera);
+      await this.setStoreValue('privacyModeSettings', settings);
+    } else if (!enabled && previousSettings) {
+      await this.api.disablePrivacyMode(this.camera, previousSettings);
+      await this.unsetStoreValue('privacyModeSettings');
+    }
+
+    Homey.app.debug(`privacy mode ${enabled ? 'enabled' : 'disabled'} for ${this.getName()}`);
+    return this.setCapabilityValue('camera_privacy_mode', enabled);
+  }
+
+  onActivePatrolSlot(activePatrolSlot) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(activePatrolSlot));
+    if (activePatrolSlot !== null && typeof activePatrolSlot !== 'undefined') {
+      this.setStoreValue('lastPatrolSlot', activePatrolSlot)
+          .catch(this.error);
+    }
+    if (this.hasCapability('camera_ptz_patrol')) {
+      this.setCapabilityValue('camera_ptz_patrol', activePatrolSlot !== null && typeof activePatrolSlot !== 'undefined')
+          .catch(this.error);
     }
   }
 
   onConnectionChanged(connectionStatus) {
-    this._connectionStatusTrigger.trigger({
+    const driver = this.getDriver();
+    driver._connectionStatusTrigger.trigger({
       ufp_connection_status: connectionStatus,
       ufp_connection_camera: this.getName(),
     });
+
+    // Called before the new status is set, the device cards only trigger on a change of a known status
+    if (typeof this.getCapabilityValue('camera_connection_status') === 'boolean') {
+      (connectionStatus ? driver._cameraCameOnlineTrigger : driver._cameraWentOfflineTrigger)
+          .trigger(this)
+          .catch(this.error);
+    }
   }
 
   onIsRecording(isRecording) {
     // Debug information about playload
     Homey.app.debug(JSON.stringify(isRecording));
+    const wasRecording = this._state.isRecording;
+    this._state.isRecording = isRecording;
+
+    if (typeof wasRecording === 'boolean' && wasRecording !== isRecording) {
+      const driver = this.getDriver();
+      if (isRecording) {
+        driver._cameraRecordingStartedTrigger.trigger(this, { ufp_camera_snapshot: this._snapshotImage })
+            .catch(this.error);
+      } else {
+        driver._cameraRecordingStoppedTrigger.trigger(this)
+            .catch(this.error);
+      }
+    }
     if (this.hasCapability('camera_recording_status')) {
       this.setCapabilityValue('camera_recording_status', isRecording);
     }
@@ -289,6 +879,7 @@ class Camera extends Homey.Device {
   onIsMicEnabled(isMicEnabled) {
     // Debug information about playload
     Homey.app.debug(JSON.stringify(isMicEnabled));
+    this._state.isMicEnabled = isMicEnabled;
     if (this.hasCapability('camera_microphone_status')) {
       this.setCapabilityValue('camera_microphone_status', isMicEnabled);
     }
@@ -297,6 +888,7 @@ class Camera extends Homey.Device {
   onIsConnected(isConnected) {
     // Debug information about playload
     Homey.app.debug(JSON.stringify(isConnected));
+    this._state.isConnected = isConnected;
     if (this.getCapabilityValue('camera_connection_status') !== isConnected) {
       this.onConnectionChanged(isConnected);
     }
@@ -314,6 +906,7 @@ class Camera extends Homey.Device {
   onRecordingMode(mode) {
     // Debug information about playload
     Homey.app.debug(JSON.stringify(mode));
+    this._state.recordingMode = mode;
     if (this.hasCapability('camera_recording_mode')) {
       this.setCapabilityValue('camera_recording_mode',
           Homey.__(`events.camera.${String(mode)
@@ -323,34 +916,16 @@ class Camera extends Homey.Device {
 
   _onSnapshotBuffer(camera, width) {
     return new Promise((resolve, reject) => {
-      Homey.app.api.createSnapshotUrl(camera, width)
-          .then(snapshotUrl => {
-            Homey.app.api.getStreamUrl(camera)
+      this.api.snapshot(camera.id, width)
+          .then(buffer => {
+            // Archive the snapshot, so it can still be viewed after the flow has run
+            Homey.app.archive.store(camera.id, buffer, 'flow')
+                .catch(this.error.bind(this, 'Could not archive snapshot.'));
+
+            this.api.getStreamUrl(camera)
                 .then(streamUrl => {
                   const SnapshotImage = new Homey.Image();
-                  SnapshotImage.setStream(async stream => {
-                    if (!snapshotUrl) {
-                      throw new Error('Invalid snapshot url.');
-                    }
-
-                    const headers = {};
-
-                    headers['Cookie'] = Homey.app.api.getProxyCookieToken();
-
-                    const agent = new https.Agent({
-                      rejectUnauthorized: false,
-                      keepAlive: false,
-                    });
-
-                    // Fetch image
-                    const res = await fetch(snapshotUrl, {
-                      agent,
-                      headers
-                    });
-                    if (!res.ok) throw new Error('Could not fetch snapshot image.');
-
-                    return res.body.pipe(stream);
-                  });
+                  SnapshotImage.setStream(async stream => stream.end(buffer));
                   SnapshotImage.register()
                       .then(() => {
                         Homey.app.snapshotToken.setValue(SnapshotImage);
@@ -361,12 +936,18 @@ class Camera extends Homey.Device {
                         Homey.app.debug(`- Stream url: ${streamUrl}`);
                         Homey.app.debug('-------------------------------');
 
-                        this._snapshotTrigger.trigger({
+                        const driver = this.getDriver();
+                        driver._snapshotTrigger.trigger({
                           ufv_snapshot_token: SnapshotImage,
                           ufv_snapshot_camera: this.getName(),
                           ufv_snapshot_snapshot_url: SnapshotImage.cloudUrl,
                           ufv_snapshot_stream_url: streamUrl,
                         });
+                        driver._cameraSnapshotCreatedTrigger.trigger(this, {
+                          ufp_camera_snapshot: SnapshotImage,
+                          ufp_camera_stream_url: streamUrl,
+                        }).catch(this.error);
+                        resolve(true);
                       })
                       .catch(error => reject(error));
                 })
@@ -376,40 +957,232 @@ class Camera extends Homey.Device {
     });
   }
 
-  async _createSnapshotImage() {
-    Homey.app.debug('Creating snapshot image for camera ' + this.getName() + '.');
+  // Archive a snapshot when motion starts, if enabled in the app settings.
+  _archiveMotionSnapshot() {
+    if (!Homey.app.archive.isMotionEnabled()) {
+      return;
+    }
 
-    this._snapshotImage = new Homey.Image();
-    this._snapshotImage.setStream(async stream => {
-      // Obtain snapshot URL
-      let snapshotUrl = null;
+    this.api.snapshot(this.camera.id, UfvConstants.ARCHIVE_SNAPSHOT_WIDTH)
+        .then(buffer => Homey.app.archive.store(this.camera.id, buffer, 'motion'))
+        .catch(this.error.bind(this, 'Could not archive motion snapshot.'));
+  }
 
-      await Homey.app.api.createSnapshotUrl(this.camera)
-          .then(url => {
-            snapshotUrl = url;
-          })
-          .catch(this.error.bind(this, 'Could not create snapshot URL.'));
+  async _createMotionEventImages() {
+    Homey.app.debug('Creating motion event images for camera ' + this.getName() + '.');
 
-      if (!snapshotUrl) {
-        throw new Error('Invalid snapshot url.');
+    this._thumbnailImage = new Homey.Image();
+    this._thumbnailImage.setStream(async stream => {
+      if (!this._lastMotionEventId) {
+        throw new Error('No motion event yet.');
       }
 
-      const headers = {};
-      headers['Cookie'] = Homey.app.api.getProxyCookieToken();
+      const buffer = await this.api.getEventThumbnail(this._lastMotionEventId);
+      return stream.end(buffer);
+    });
 
-      const agent = new https.Agent({
-        rejectUnauthorized: false,
-        keepAlive: false,
-      });
+    this._heatmapImage = new Homey.Image();
+    this._heatmapImage.setStream(async stream => {
+      if (!this._lastMotionEventId) {
+        throw new Error('No motion event yet.');
+      }
 
-      // Fetch image
-      const res = await fetch(snapshotUrl, {
-        agent,
-        headers
-      });
-      if (!res.ok) throw new Error('Could not fetch snapshot image.');
+      const buffer = await this.api.getEventHeatmap(this._lastMotionEventId);
+      return stream.end(buffer);
+    });
+
+    // Register images and set camera images
+    this._thumbnailImage.register()
+        .then(() => {
+          this.setCapabilityValue('last_motion_thumbnail', this._thumbnailImage.cloudUrl)
+              .catch(this.error);
+          return this.setCameraImage('thumbnail', 'Last motion', this._thumbnailImage);
+        })
+        .catch(this.error);
+    this._heatmapImage.register()
+        .then(() => {
+          this.setCapabilityValue('last_motion_heatmap', this._heatmapImage.cloudUrl)
+              .catch(this.error);
+          return this.setCameraImage('heatmap', 'Last motion heatmap', this._heatmapImage);
+        })
+        .catch(this.error);
+
+    Homey.app.debug('Created motion event images for camera ' + this.getName() + '.');
+  }
+
+  async _onClipExport(secondsBefore, secondsAfter, eventId) {
+    // The clip is exported around the start of the event, or around now
+    let referenceTime = Date.now();
+    if (eventId) {
+      const event = await this.api.getEvent(eventId);
+      referenceTime = event.start;
+    }
+
+    const start = referenceTime - (secondsBefore * 1000);
+    const end = referenceTime + (secondsAfter * 1000);
+
+    // Wait until the NVR has recorded the end of the clip
+    const waitTime = end + (UfvConstants.CLIP_EXPORT_DELAY * 1000) - Date.now();
+    if (waitTime > 0) {
+      await this._sleep(waitTime);
+    }
+
+    await mkdir(UfvConstants.CLIP_FOLDER)
+        .catch(error => {
+          if (error.code !== 'EEXIST') throw error;
+        });
+    const clipFile = path.join(UfvConstants.CLIP_FOLDER, `${this.camera.id}-${start}.mp4`);
+
+    // Write the clip as it comes in, and don't leave a partial clip behind when the download fails
+    const clip = await this.api.exportClip(this.camera, start, end, { signal: this._abortController.signal });
+    await pipeline(clip, fs.createWriteStream(clipFile))
+        .catch(error => unlink(clipFile)
+            .catch(() => null)
+            .then(() => {
+              throw error;
+            }));
+    const { size } = await stat(clipFile);
+    await this._removeOldClips();
+
+    Homey.app.debug('------ _onClipExport ------');
+    Homey.app.debug(`- Camera name: ${this.getName()}`);
+    Homey.app.debug(`- Clip file: ${clipFile} (${size} bytes)`);
+    Homey.app.debug('---------------------------');
+
+    // Only the last clip is kept as token
+    const clipImage = new Homey.Image();
+    clipImage.setStream(async clipStream => fs.createReadStream(clipFile).pipe(clipStream));
+    await clipImage.register();
+
+    if (this._clipImage) {
+      await this._clipImage.unregister()
+          .catch(this.error);
+    }
+    this._clipImage = clipImage;
+
+    await this.getDriver()._clipExportedTrigger.trigger({
+      ufp_clip: clipImage,
+      ufp_clip_camera: this.getName(),
+      ufp_clip_duration: Math.round((end - start) / 1000),
+    });
+
+    return clipFile;
+  }
+
+  // Wait a number of milliseconds, rejects when the device is deleted in the meantime.
+  _sleep(milliseconds) {
+    const signal = this._abortController.signal;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        return reject(new Error('The device has been deleted.'));
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('The device has been deleted.'));
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, milliseconds);
+      signal.addEventListener('abort', onAbort);
+    });
+  }
+
+  async _removeOldClips() {
+    const files = await readdir(UfvConstants.CLIP_FOLDER);
+
+    // Clip file names start with the camera id followed by the start time, so they sort from old to new
+    const clips = files
+        .filter(file => file.startsWith(`${this.camera.id}-`))
+        .sort((a, b) => parseInt(a.slice(this.camera.id.length + 1), 10) - parseInt(b.slice(this.camera.id.length + 1), 10));
+
+    const oldClips = clips.slice(0, Math.max(0, clips.length - UfvConstants.CLIP_RETENTION_COUNT));
+    await Promise.all(oldClips.map(file => unlink(path.join(UfvConstants.CLIP_FOLDER, file))));
+  }
+
+  // Take a number of snapshots and combine them into a contact sheet. The burst stops when the device is deleted.
+  async _onSnapshotBurst(count, interval) {
+    const contactSheet = new ProtectContactSheet(UfvConstants.SNAPSHOT_BURST_TILE_WIDTH);
+    const signal = this._abortController.signal;
+
+    for (let i = 0; i < count; i++) {
+      if (i > 0) {
+        await this._sleep(interval * 1000);
+      }
+
+      contactSheet.addFrame(await this.api.snapshot(this.camera.id, UfvConstants.SNAPSHOT_BURST_WIDTH, { signal }));
+    }
+
+    if (signal.aborted) {
+      throw new Error('The device has been deleted.');
+    }
+
+    const buffer = contactSheet.toJpeg();
+
+    // Only the image of the last burst is kept
+    const burstImage = new Homey.Image();
+    burstImage.setStream(async stream => stream.end(buffer));
+    await burstImage.register();
+
+    if (this._snapshotBurstImage) {
+      await this._snapshotBurstImage.unregister()
+          .catch(this.error);
+    }
+    this._snapshotBurstImage = burstImage;
+
+    Homey.app.debug('------ _onSnapshotBurst ------');
+    Homey.app.debug(`- Camera name: ${this.getName()}`);
+    Homey.app.debug(`- Frames: ${contactSheet.getFrameCount()} (${buffer.length} bytes)`);
+    Homey.app.debug('------------------------------');
+
+    await this.getDriver()._snapshotBurstCreatedTrigger.trigger({
+      ufp_burst_token: burstImage,
+      ufp_burst_camera: this.getName(),
+      ufp_burst_count: contactSheet.getFrameCount(),
+    });
+
+    return contactSheet.getFrameCount();
+  }
+
+  // Play a WAV or MP3 file from a URL, like the output of a text to speech service, through the speaker.
+  async _playAudioUrl(url) {
+    const audio = await fetchAudio(url);
+
+    Homey.app.debug(`Playing ${url} (${audio.length} bytes) on camera ${this.getName()}.`);
+    return this.api.playTalkback(this.camera, audio);
+  }
+
+  // Play a sound uploaded on the settings page through the speaker.
+  async _playSound(soundId) {
+    const audio = await Homey.app.sounds.get(soundId);
+
+    Homey.app.debug(`Playing sound ${soundId} on camera ${this.getName()}.`);
+    return this.api.playTalkback(this.camera, audio);
+  }
+
+  _getSounds(query) {
+    return Homey.app.sounds.list()
+        .then(sounds => sounds
+            .filter(sound => sound.id.toLowerCase().includes(query.toLowerCase()))
+            .map(sound => {
+              return {
+                id: sound.id,
+                name: sound.id,
+                description: sound.type.toUpperCase(),
+              };
+            }));
+  }
+
+  async _createSnapshotImage() {
+    Homey.app.debug('Creating snapshot image for camera ' + this.getName() + '.');
+
+    this._snapshotImage = new Homey.Image();
+    this._snapshotImage.setStream(async imageStream => {
+      const snapshot = await this.api.streamSnapshot(this.camera.id);
 
-      return res.body.pipe(stream);
+      return snapshot.pipe(imageStream);
     });
 
     // Register snapshot and set camera image
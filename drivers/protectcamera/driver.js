@@ -1,27 +1,413 @@
 'use strict';
 
 const Homey = require('homey');
+const UfvConstants = require('../../library/constants');
 
 class UniFiCameraDriver extends Homey.Driver {
   /**
    * onInit is called when the driver is initialized.
    */
   async onInit() {
+    // Flow cards are registered once, for all cameras
+    this._registerFlowCards();
+
     Homey.app.debug('UnifiCamera Driver has been initialized');
   }
 
+  _registerFlowCards() {
+    // App-wide triggers, which supply the name of the camera. Kept for the flows that use them.
+
+    // Snapshot trigger
+    this._snapshotTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_SNAPSHOT_CREATED);
+    this._snapshotTrigger.register();
+
+    // Connection Status trigger
+    this._connectionStatusTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_CONNECTION_CHANGED);
+    this._connectionStatusTrigger.register();
+
+    // Doorbell ringing trigger
+    this._doorbellRingingTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_DOORBELL_RINGING);
+    this._doorbellRingingTrigger.register();
+
+    // Motion ended trigger
+    this._motionEndedTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_MOTION_ENDED);
+    this._motionEndedTrigger.register();
+
+    // Clip exported trigger
+    this._clipExportedTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_CLIP_EXPORTED);
+    this._clipExportedTrigger.register();
+
+    // Snapshot burst created trigger
+    this._snapshotBurstCreatedTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_SNAPSHOT_BURST_CREATED);
+    this._snapshotBurstCreatedTrigger.register();
+
+    // Smart detection trigger
+    this._smartDetectionTrigger = new Homey.FlowCardTrigger(UfvConstants.EVENT_SMART_DETECTION);
+    this._smartDetectionTrigger
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.type === 'any' || args.type === state.type));
+
+    // Device triggers, for a camera picked in the flow
+    this._cameraDoorbellRangTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_DOORBELL_RANG);
+    this._cameraDoorbellRangTrigger.register();
+
+    this._cameraWentOfflineTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_WENT_OFFLINE);
+    this._cameraWentOfflineTrigger.register();
+
+    this._cameraCameOnlineTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_CAME_ONLINE);
+    this._cameraCameOnlineTrigger.register();
+
+    this._cameraRecordingStartedTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_RECORDING_STARTED);
+    this._cameraRecordingStartedTrigger.register();
+
+    this._cameraRecordingStoppedTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_RECORDING_STOPPED);
+    this._cameraRecordingStoppedTrigger.register();
+
+    this._cameraSnapshotCreatedTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_SNAPSHOT_CREATED);
+    this._cameraSnapshotCreatedTrigger.register();
+
+    this._cameraMotionEndedTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_MOTION_ENDED);
+    this._cameraMotionEndedTrigger.register();
+
+    this._cameraSmartDetectionTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CAMERA_SMART_DETECTION);
+    this._cameraSmartDetectionTrigger
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.type === 'any' || args.type === state.type));
+
+    // Camera state conditions
+    new Homey.FlowCardCondition(UfvConstants.CONDITION_CAMERA_RECORDING)
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.device._state.isRecording === true));
+
+    new Homey.FlowCardCondition(UfvConstants.CONDITION_CAMERA_CONNECTED)
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.device._state.isConnected === true));
+
+    new Homey.FlowCardCondition(UfvConstants.CONDITION_CAMERA_DARK)
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.device._state.isDark === true));
+
+    new Homey.FlowCardCondition(UfvConstants.CONDITION_CAMERA_MICROPHONE_ENABLED)
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.device._state.isMicEnabled === true));
+
+    new Homey.FlowCardCondition(UfvConstants.CONDITION_CAMERA_RECORDING_MODE)
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.device._state.recordingMode === args.recording_mode));
+
+    new Homey.FlowCardCondition(UfvConstants.CONDITION_CAMERA_MOTION_WITHIN)
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(args.device.isMotionSeenWithin(args.minutes)));
+
+    // Action 'take snapshot'
+    new Homey.FlowCardAction(UfvConstants.ACTION_TAKE_SNAPSHOT)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device._onSnapshotBuffer(args.device.getData(), args.width)
+                .catch(this.error.bind(this, 'Could not take snapshot.'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'set recording mode'
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_RECORDING_MODE)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.setRecordingMode(args.device.getData(), args.recording_mode)
+                .then(Homey.app.debug.bind(this, '[recordingmode.set]'))
+                .catch(this.error.bind(this, '[recordingmode.set]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'show a preset message on the doorbell'
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_DOORBELL_PRESET_MESSAGE)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.setLcdMessage(args.device.getData(), args.type, '', args.duration)
+                .then(Homey.app.debug.bind(this, '[lcdmessage.set]'))
+                .catch(this.error.bind(this, '[lcdmessage.set]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'show a custom message on the doorbell'
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_DOORBELL_CUSTOM_MESSAGE)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.setLcdMessage(args.device.getData(), 'CUSTOM_MESSAGE', args.text, args.duration)
+                .then(Homey.app.debug.bind(this, '[lcdmessage.set]'))
+                .catch(this.error.bind(this, '[lcdmessage.set]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'clear the message on the doorbell'
+    new Homey.FlowCardAction(UfvConstants.ACTION_CLEAR_DOORBELL_MESSAGE)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.clearLcdMessage(args.device.getData())
+                .then(Homey.app.debug.bind(this, '[lcdmessage.clear]'))
+                .catch(this.error.bind(this, '[lcdmessage.clear]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'go to preset position'
+    new Homey.FlowCardAction(UfvConstants.ACTION_PTZ_GOTO_PRESET)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.ptzGotoPreset(args.device.getData(), args.preset.slot)
+                .then(Homey.app.debug.bind(this, '[ptz.preset]'))
+                .catch(this.error.bind(this, '[ptz.preset]'));
+          }
+
+          return Promise.resolve(true);
+        })
+        .getArgument('preset')
+        .registerAutocompleteListener((query, args) => args.device._getPtzPresets(query));
+
+    // Action 'start patrol'
+    new Homey.FlowCardAction(UfvConstants.ACTION_PTZ_START_PATROL)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.ptzStartPatrol(args.device.getData(), args.patrol.slot)
+                .then(Homey.app.debug.bind(this, '[ptz.patrol]'))
+                .catch(this.error.bind(this, '[ptz.patrol]'));
+          }
+
+          return Promise.resolve(true);
+        })
+        .getArgument('patrol')
+        .registerAutocompleteListener((query, args) => args.device._getPtzPatrols(query));
+
+    // Action 'stop patrol'
+    new Homey.FlowCardAction(UfvConstants.ACTION_PTZ_STOP_PATROL)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.ptzStopPatrol(args.device.getData())
+                .then(Homey.app.debug.bind(this, '[ptz.patrol]'))
+                .catch(this.error.bind(this, '[ptz.patrol]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'pan and tilt the camera'
+    new Homey.FlowCardAction(UfvConstants.ACTION_PTZ_MOVE)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.ptzMove(args.device.getData(), args.pan, args.tilt)
+                .then(Homey.app.debug.bind(this, '[ptz.move]'))
+                .catch(this.error.bind(this, '[ptz.move]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'zoom the camera'
+    new Homey.FlowCardAction(UfvConstants.ACTION_PTZ_ZOOM)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device.api.ptzZoom(args.device.getData(), args.zoom)
+                .then(Homey.app.debug.bind(this, '[ptz.zoom]'))
+                .catch(this.error.bind(this, '[ptz.zoom]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'export a video clip'
+    new Homey.FlowCardAction(UfvConstants.ACTION_EXPORT_CLIP)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device._onClipExport(args.seconds_before, args.seconds_after, args.event)
+                .then(Homey.app.debug.bind(this, '[clip.export]'))
+                .catch(this.error.bind(this, '[clip.export]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'take a snapshot burst'
+    new Homey.FlowCardAction(UfvConstants.ACTION_TAKE_SNAPSHOT_BURST)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device._onSnapshotBurst(args.count, args.interval)
+                .then(Homey.app.debug.bind(this, '[snapshot.burst]'))
+                .catch(this.error.bind(this, '[snapshot.burst]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Action 'set privacy mode'
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_PRIVACY_MODE)
+        .register()
+        .registerRunListener((args, state) => {
+          if (typeof args.device.getData().id !== 'undefined') {
+            args.device._setPrivacyMode(args.privacy_mode === 'on')
+                .then(Homey.app.debug.bind(this, '[privacymode.set]'))
+                .catch(this.error.bind(this, '[privacymode.set]'));
+          }
+
+          return Promise.resolve(true);
+        });
+
+    // Camera hardware settings actions, invalid or unsupported settings fail the flow
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_IR_MODE)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ irMode: args.ir_mode })
+              .then(Homey.app.debug.bind(this, '[irmode.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_STATUS_LIGHT)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ statusLight: args.status_light === 'on' })
+              .then(Homey.app.debug.bind(this, '[statuslight.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_HDR)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ hdr: args.hdr === 'on' })
+              .then(Homey.app.debug.bind(this, '[hdr.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_SPEAKER_VOLUME)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ speakerVolume: Math.round(args.volume) })
+              .then(Homey.app.debug.bind(this, '[speakervolume.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_IMAGE_SETTINGS)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ brightness: Math.round(args.brightness), contrast: Math.round(args.contrast) })
+              .then(Homey.app.debug.bind(this, '[imagesettings.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_VIDEO_MODE)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ videoMode: args.video_mode })
+              .then(Homey.app.debug.bind(this, '[videomode.set]'))
+              .then(() => true);
+        });
+
+    // Recording actions, unknown zones and profiles or invalid settings fail the flow
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_ZONE)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setZonesEnabled([{ type: args.zone.type, name: args.zone.name, enabled: args.zone_state === 'on' }])
+              .then(Homey.app.debug.bind(this, '[zone.set]'))
+              .then(() => true);
+        })
+        .getArgument('zone')
+        .registerAutocompleteListener((query, args) => args.device._getZones(query));
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_RECORDING_PADDING)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setCameraSettings({ prePadding: Math.round(args.pre_padding), postPadding: Math.round(args.post_padding) })
+              .then(Homey.app.debug.bind(this, '[recordingpadding.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_SMART_DETECT_RECORDING)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._setSmartDetectRecording(args.type, args.smart_detect_state === 'on')
+              .then(Homey.app.debug.bind(this, '[smartdetectrecording.set]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_SAVE_RECORDING_PROFILE)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._saveRecordingProfile(args.name)
+              .then(Homey.app.debug.bind(this, '[recordingprofile.save]'))
+              .then(() => true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_APPLY_RECORDING_PROFILE)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device._applyRecordingProfile(args.profile.name)
+              .then(Homey.app.debug.bind(this, '[recordingprofile.apply]'))
+              .then(() => true);
+        })
+        .getArgument('profile')
+        .registerAutocompleteListener((query, args) => args.device._getRecordingProfiles(query));
+
+    // Talkback actions
+    new Homey.FlowCardAction(UfvConstants.ACTION_PLAY_AUDIO_URL)
+        .register()
+        .registerRunListener((args, state) => {
+          args.device._playAudioUrl(args.url)
+              .then(Homey.app.debug.bind(this, '[talkback.url]'))
+              .catch(this.error.bind(this, '[talkback.url]'));
+
+          return Promise.resolve(true);
+        });
+
+    new Homey.FlowCardAction(UfvConstants.ACTION_PLAY_SOUND)
+        .register()
+        .registerRunListener((args, state) => {
+          args.device._playSound(args.sound.id)
+              .then(Homey.app.debug.bind(this, '[talkback.sound]'))
+              .catch(this.error.bind(this, '[talkback.sound]'));
+
+          return Promise.resolve(true);
+        })
+        .getArgument('sound')
+        .registerAutocompleteListener((query, args) => args.device._getSounds(query));
+  }
+
   onPair(socket) {
-    // Validate NVR IP address
+    let api = null;
+
+    // Validate that at least one NVR has been configured
     socket.on('validate', (data, callback) => {
-      const nvrip = Homey.ManagerSettings.get('ufp:nvrip');
-      callback(null, nvrip ? 'ok' : 'nok');
+      callback(null, Homey.app.getControllers());
+    });
+
+    // Select the NVR to list the devices of
+    socket.on('select_nvr', (nvrId, callback) => {
+      api = Homey.app.getApi(nvrId);
+      callback(null, api ? 'ok' : 'nok');
     });
 
     // Perform when device list is shown
     socket.on('list_devices', async (data, callback) => {
-      callback(null, Object.values(await Homey.app.api.getCameras()).map(camera => {
+      callback(null, Object.values(await api.getCameras()).map(camera => {
         return {
-          data: { id: String(camera.id) },
+          data: { id: String(camera.id), nvr: api.getControllerId() },
           name: camera.name,
         };
       }));
@@ -62,6 +448,10 @@ class UniFiCameraDriver extends Homey.Driver {
         camera.onRecordingMode(payload.recordingSettings.mode);
       }
 
+      if (payload.hasOwnProperty('isMotionDetected')) {
+        camera.onIsMotionDetected(payload.isMotionDetected);
+      }
+
       if (payload.lastMotion) {
         camera.onMotionDetected(payload.lastMotion, payload.isMotionDetected);
       }
@@ -73,6 +463,38 @@ class UniFiCameraDriver extends Homey.Driver {
       if (payload.hasOwnProperty('isDark')) {
         camera.onIsDark(payload.isDark);
       }
+
+      if (payload.hasOwnProperty('activePatrolSlot')) {
+        camera.onActivePatrolSlot(payload.activePatrolSlot);
+      }
+
+      // Hardware settings, like the IR mode and HDR
+      camera.onCameraSettings(payload);
+
+      if (payload.hasOwnProperty('lcdMessage')) {
+        camera.onLcdMessage(payload.lcdMessage);
+      }
+
+      if (payload.lastSmartDetect && payload.hasOwnProperty('smartDetectTypes')) {
+        camera.onSmartDetectTypes(payload.smartDetectTypes);
+      }
+    }
+  }
+
+  onParseWebsocketEvent(camera, eventId, payload) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(payload));
+
+    if (Object.prototype.hasOwnProperty.call(camera, '_events')) {
+      if (payload.type === 'motion') {
+        camera.onMotionEvent(eventId, payload);
+      }
+
+      if (payload.type === 'smartDetectZone' && Array.isArray(payload.smartDetectTypes)) {
+        payload.smartDetectTypes.forEach(smartDetectType => {
+          camera.onSmartDetection(eventId, smartDetectType, payload.score, payload.metadata);
+        });
+      }
     }
   }
 }
@@ -0,0 +1,94 @@
+'use strict';
+
+const Homey = require('homey');
+
+class Chime extends Homey.Device {
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    if (!this.api) {
+      this.setUnavailable(Homey.__('errors.nvr_not_found'))
+          .catch(this.error);
+    }
+
+    this.waitForBootstrap()
+        .catch(this.error);
+    Homey.app.debug('UnifiChime Device has been initialized');
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    Homey.app.debug('UnifiChime Device has been added');
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    Homey.app.debug('UnifiChime Device has been deleted');
+  }
+
+  async initChime() {
+    this.chime = this.getData();
+    this._cameraIds = [];
+
+    this.registerCapabilityListener('volume_set', async (value) => {
+      Homey.app.debug('volume_set');
+      return this.api.setChimeVolume(this.chime, Math.round(value * 100));
+    });
+
+    await this._initChimeData();
+  }
+
+  // The API of the controller of the device, which may be added or replaced on the settings page later on.
+  get api() {
+    return Homey.app.getApi(this.getData().nvr);
+  }
+
+  async waitForBootstrap() {
+    await Homey.app.waitForBootstrap(this.getData().nvr);
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+    await this.initChime();
+  }
+
+  async _initChimeData() {
+    const chimeData = this.api.getBootstrap();
+
+    if (chimeData && Array.isArray(chimeData.chimes)) {
+      chimeData.chimes.forEach((chime) => {
+        if (chime.id === this.chime.id) {
+          this.onVolume(chime.volume);
+          this.onCameraIds(chime.cameraIds);
+        }
+      });
+    }
+  }
+
+  onVolume(volume) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(volume));
+    this.setCapabilityValue('volume_set', volume / 100)
+        .catch(this.error);
+  }
+
+  onCameraIds(cameraIds) {
+    this._cameraIds = Array.isArray(cameraIds) ? cameraIds : [];
+  }
+
+  onDoorbellRinging(cameraId, cameraName) {
+    if (!this._cameraIds || !this._cameraIds.includes(cameraId)) {
+      return;
+    }
+
+    this.getDriver()._chimeRingingTrigger.trigger(this, {
+      ufp_ringing_camera: cameraName,
+    }).catch(this.error);
+  }
+}
+
+module.exports = Chime;
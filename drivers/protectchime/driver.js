@@ -0,0 +1,92 @@
+'use strict';
+
+const Homey = require('homey');
+const UfvConstants = require('../../library/constants');
+
+class UniFiChimeDriver extends Homey.Driver {
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    // Last ring of every doorbell, by controller and camera id
+    this._lastRings = {};
+
+    // Flow cards are registered once, for all chimes
+    this._registerFlowCards();
+
+    Homey.app.debug('UnifiChime Driver has been initialized');
+  }
+
+  _registerFlowCards() {
+    // Chime ringing trigger
+    this._chimeRingingTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_CHIME_RINGING);
+    this._chimeRingingTrigger.register();
+
+    // Action 'play chime'
+    new Homey.FlowCardAction(UfvConstants.ACTION_PLAY_CHIME)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device.api.playChime(args.device.getData())
+              .then(Homey.app.debug.bind(this, '[chime.play]'))
+              .then(() => true);
+        });
+  }
+
+  onPair(socket) {
+    let api = null;
+
+    // Validate that at least one NVR has been configured
+    socket.on('validate', (data, callback) => {
+      callback(null, Homey.app.getControllers());
+    });
+
+    // Select the NVR to list the devices of
+    socket.on('select_nvr', (nvrId, callback) => {
+      api = Homey.app.getApi(nvrId);
+      callback(null, api ? 'ok' : 'nok');
+    });
+
+    // Perform when device list is shown
+    socket.on('list_devices', async (data, callback) => {
+      callback(null, Object.values(await api.getChimes()).map(chime => {
+        return {
+          data: { id: String(chime.id), nvr: api.getControllerId() },
+          name: chime.name,
+        };
+      }));
+    });
+  }
+
+  onParseWesocketMessage(chime, payload) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(payload));
+
+    if (Object.prototype.hasOwnProperty.call(chime, '_events')) {
+      if (payload.hasOwnProperty('volume')) {
+        chime.onVolume(payload.volume);
+      }
+
+      if (payload.hasOwnProperty('cameraIds')) {
+        chime.onCameraIds(payload.cameraIds);
+      }
+    }
+  }
+
+  onDoorbellRinging(nvrId, cameraId, cameraName, lastRing) {
+    // Every ring is only passed on once
+    const key = `${nvrId}/${cameraId}`;
+    if (this._lastRings[key] && lastRing <= this._lastRings[key]) {
+      return;
+    }
+    this._lastRings[key] = lastRing;
+
+    // Let every chime of the controller that is paired with the doorbell know it is ringing
+    this.getDevices().forEach(chime => {
+      if (chime.getData().nvr === nvrId && typeof chime.onDoorbellRinging === 'function') {
+        chime.onDoorbellRinging(cameraId, cameraName);
+      }
+    });
+  }
+}
+
+module.exports = UniFiChimeDriver;
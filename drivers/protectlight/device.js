@@ -0,0 +1,115 @@
+'use strict';
+
+const Homey = require('homey');
+
+// Protect lights have six LED levels
+const MaxLedLevel = 6;
+
+class Light extends Homey.Device {
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    if (!this.api) {
+      this.setUnavailable(Homey.__('errors.nvr_not_found'))
+          .catch(this.error);
+    }
+
+    this.waitForBootstrap()
+        .catch(this.error);
+    Homey.app.debug('UnifiLight Device has been initialized');
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    Homey.app.debug('UnifiLight Device has been added');
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    Homey.app.debug('UnifiLight Device has been deleted');
+  }
+
+  async initLight() {
+    this.light = this.getData();
+
+    this.registerCapabilityListener('onoff', async (value) => {
+      Homey.app.debug('onoff');
+      return this.api.setLightOn(this.light, value);
+    });
+
+    this.registerCapabilityListener('dim', async (value) => {
+      Homey.app.debug('dim');
+      return this.api.setLightLevel(this.light, Math.max(1, Math.round(value * MaxLedLevel)));
+    });
+
+    this.registerCapabilityListener('light_pir_sensitivity', async (value) => {
+      Homey.app.debug('light_pir_sensitivity');
+      return this.api.setLightPirSensitivity(this.light, value);
+    });
+
+    await this._initLightData();
+  }
+
+  // The API of the controller of the device, which may be added or replaced on the settings page later on.
+  get api() {
+    return Homey.app.getApi(this.getData().nvr);
+  }
+
+  async waitForBootstrap() {
+    await Homey.app.waitForBootstrap(this.getData().nvr);
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+    await this.initLight();
+  }
+
+  async _initLightData() {
+    const lightData = this.api.getBootstrap();
+
+    if (lightData && Array.isArray(lightData.lights)) {
+      lightData.lights.forEach((light) => {
+        if (light.id === this.light.id) {
+          this.onIsLightOn(light.lightOnSettings.isLedForceOn);
+          this.onLedLevel(light.lightDeviceSettings.ledLevel);
+          this.onPirSensitivity(light.lightDeviceSettings.pirSensitivity);
+          this.onMotionDetected(light.isPirMotionDetected);
+        }
+      });
+    }
+  }
+
+  onIsLightOn(isLightOn) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(isLightOn));
+    this.setCapabilityValue('onoff', isLightOn)
+        .catch(this.error);
+  }
+
+  onLedLevel(ledLevel) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(ledLevel));
+    this.setCapabilityValue('dim', ledLevel / MaxLedLevel)
+        .catch(this.error);
+  }
+
+  onPirSensitivity(pirSensitivity) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(pirSensitivity));
+    this.setCapabilityValue('light_pir_sensitivity', pirSensitivity)
+        .catch(this.error);
+  }
+
+  onMotionDetected(isMotionDetected) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(isMotionDetected));
+    this.setCapabilityValue('alarm_motion', isMotionDetected)
+        .catch(this.error);
+  }
+}
+
+module.exports = Light;
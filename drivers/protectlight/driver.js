@@ -0,0 +1,64 @@
+'use strict';
+
+const Homey = require('homey');
+
+class UniFiLightDriver extends Homey.Driver {
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    Homey.app.debug('UnifiLight Driver has been initialized');
+  }
+
+  onPair(socket) {
+    let api = null;
+
+    // Validate that at least one NVR has been configured
+    socket.on('validate', (data, callback) => {
+      callback(null, Homey.app.getControllers());
+    });
+
+    // Select the NVR to list the devices of
+    socket.on('select_nvr', (nvrId, callback) => {
+      api = Homey.app.getApi(nvrId);
+      callback(null, api ? 'ok' : 'nok');
+    });
+
+    // Perform when device list is shown
+    socket.on('list_devices', async (data, callback) => {
+      callback(null, Object.values(await api.getLights()).map(light => {
+        return {
+          data: { id: String(light.id), nvr: api.getControllerId() },
+          name: light.name,
+        };
+      }));
+    });
+  }
+
+  onParseWesocketMessage(light, payload) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(payload));
+
+    if (Object.prototype.hasOwnProperty.call(light, '_events')) {
+      if (payload.hasOwnProperty('lightOnSettings') && payload.lightOnSettings.hasOwnProperty('isLedForceOn')) {
+        light.onIsLightOn(payload.lightOnSettings.isLedForceOn);
+      }
+
+      if (payload.hasOwnProperty('lightDeviceSettings')) {
+        if (payload.lightDeviceSettings.hasOwnProperty('ledLevel')) {
+          light.onLedLevel(payload.lightDeviceSettings.ledLevel);
+        }
+
+        if (payload.lightDeviceSettings.hasOwnProperty('pirSensitivity')) {
+          light.onPirSensitivity(payload.lightDeviceSettings.pirSensitivity);
+        }
+      }
+
+      if (payload.hasOwnProperty('isPirMotionDetected')) {
+        light.onMotionDetected(payload.isPirMotionDetected);
+      }
+    }
+  }
+}
+
+module.exports = UniFiLightDriver;
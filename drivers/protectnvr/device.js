@@ -0,0 +1,210 @@
+'use strict';
+
+const Homey = require('homey');
+const UfvConstants = require('../../library/constants');
+
+// Severity of the health statuses, a higher severity means the health degraded
+const HealthSeverity = {
+  unknown: 0,
+  green: 0,
+  orange: 1,
+  red: 2,
+};
+
+class Nvr extends Homey.Device {
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    if (!this.api) {
+      this.setUnavailable(Homey.__('errors.nvr_not_found'))
+          .catch(this.error);
+    }
+
+    this.waitForBootstrap()
+        .catch(this.error);
+    Homey.app.debug('UnifiNvr Device has been initialized');
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    Homey.app.debug('UnifiNvr Device has been added');
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    clearInterval(this._refreshInterval);
+    Homey.app.debug('UnifiNvr Device has been deleted');
+  }
+
+  async initNvr() {
+    this.nvr = this.getData();
+    this._nvrInfo = {};
+    this._diskUsed = null;
+    this._healthStatus = null;
+
+    const bootstrap = this.api.getBootstrap();
+    if (bootstrap && bootstrap.nvr && bootstrap.nvr.id === this.nvr.id) {
+      this.onNvrUpdated(bootstrap.nvr);
+    }
+
+    // Storage information is not always sent over the websocket, refresh it periodically
+    this._refreshInterval = setInterval(() => {
+      this._refreshNvrData();
+    }, UfvConstants.PROTECT_NVR_STATUS_REFRESH_INTERVAL * 1000);
+  }
+
+  // The API of the controller of the device, which may be added or replaced on the settings page later on.
+  get api() {
+    return Homey.app.getApi(this.getData().nvr);
+  }
+
+  async waitForBootstrap() {
+    await Homey.app.waitForBootstrap(this.getData().nvr);
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+    await this.initNvr();
+  }
+
+  _refreshNvrData() {
+    this.api.getServer()
+        .then(nvrInfo => this.onNvrUpdated(nvrInfo))
+        .catch(this.error.bind(this, 'Could not refresh NVR data.'));
+  }
+
+  onNvrUpdated(payload) {
+    this._mergeNvrInfo(this._nvrInfo, payload);
+
+    this._updateCpuLoad();
+    this._updateDiskUsage();
+    this._updateHealth();
+  }
+
+  _mergeNvrInfo(target, source) {
+    Object.keys(source).forEach(key => {
+      const value = source[key];
+
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+          target[key] = {};
+        }
+        this._mergeNvrInfo(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    });
+  }
+
+  _updateCpuLoad() {
+    const systemInfo = this._nvrInfo.systemInfo;
+    if (!systemInfo || !systemInfo.cpu || typeof systemInfo.cpu.averageLoad !== 'number') {
+      return;
+    }
+
+    this.setCapabilityValue('nvr_cpu_load', Math.round(systemInfo.cpu.averageLoad))
+        .catch(this.error);
+  }
+
+  _getStorage() {
+    const systemInfo = this._nvrInfo.systemInfo;
+    if (systemInfo && systemInfo.storage && systemInfo.storage.size) {
+      return {
+        size: systemInfo.storage.size,
+        used: systemInfo.storage.used,
+      };
+    }
+
+    // Older Protect versions report the storage in storageInfo
+    const storageInfo = this._nvrInfo.storageInfo;
+    if (storageInfo && storageInfo.totalSize) {
+      return {
+        size: storageInfo.totalSize,
+        used: storageInfo.totalSpaceUsed,
+      };
+    }
+
+    return null;
+  }
+
+  _updateDiskUsage() {
+    const storage = this._getStorage();
+    if (!storage) {
+      return;
+    }
+
+    const diskUsed = Math.round(storage.used / storage.size * 1000) / 10;
+
+    this.setCapabilityValue('nvr_disk_size', Math.round(storage.size / 1e7) / 100)
+        .catch(this.error);
+    this.setCapabilityValue('nvr_disk_size_used', Math.round(storage.used / 1e7) / 100)
+        .catch(this.error);
+    this.setCapabilityValue('nvr_disk_used', diskUsed)
+        .catch(this.error);
+
+    if (this._diskUsed !== null && diskUsed > this._diskUsed) {
+      this.getDriver()._diskUsageTrigger.trigger(this, {
+        ufp_nvr_disk_used: diskUsed,
+      }, {
+        previous: this._diskUsed,
+        current: diskUsed,
+      }).catch(this.error);
+    }
+    this._diskUsed = diskUsed;
+  }
+
+  _getHealthStatus() {
+    const systemInfo = this._nvrInfo.systemInfo;
+    if (!systemInfo || !systemInfo.storage) {
+      return 'unknown';
+    }
+
+    const devices = systemInfo.storage.devices || [];
+    const unhealthy = devices.some(disk => typeof disk.healthy !== 'undefined' && disk.healthy !== true && disk.healthy !== 'good');
+    if (unhealthy) {
+      return 'red';
+    }
+
+    if (this._nvrInfo.isRecordingDisabled) {
+      return 'orange';
+    }
+
+    return 'green';
+  }
+
+  _getHealthPhrase(status) {
+    if (status === 'red') {
+      return Homey.__('events.health_phrase.storage_unhealthy');
+    }
+    if (status === 'orange') {
+      return Homey.__('events.health_phrase.recording_disabled');
+    }
+    return Homey.__(`events.health_phrase.${status === 'green' ? 'healthy' : 'unknown'}`);
+  }
+
+  _updateHealth() {
+    const status = this._getHealthStatus();
+    const phrase = this._getHealthPhrase(status);
+
+    this.setCapabilityValue('nvr_health_status', Homey.__(`events.health.${status}`))
+        .catch(this.error);
+    this.setCapabilityValue('nvr_health_phrase', phrase)
+        .catch(this.error);
+
+    if (this._healthStatus !== null && HealthSeverity[status] > HealthSeverity[this._healthStatus]) {
+      Homey.app.debug(`health of ${this.getName()} degraded from ${this._healthStatus} to ${status}`);
+
+      this.getDriver()._healthDegradedTrigger.trigger(this, {
+        ufp_nvr_health_status: Homey.__(`events.health.${status}`),
+        ufp_nvr_health_phrase: phrase,
+      }).catch(this.error);
+    }
+    this._healthStatus = status;
+  }
+}
+
+module.exports = Nvr;
@@ -0,0 +1,66 @@
+'use strict';
+
+const Homey = require('homey');
+const UfvConstants = require('../../library/constants');
+
+class UniFiNvrDriver extends Homey.Driver {
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    // Flow cards are registered once, for all NVRs
+    this._registerFlowCards();
+
+    Homey.app.debug('UnifiNvr Driver has been initialized');
+  }
+
+  _registerFlowCards() {
+    // Disk usage trigger
+    this._diskUsageTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_NVR_DISK_USAGE_ABOVE);
+    this._diskUsageTrigger
+        .register()
+        .registerRunListener((args, state) => Promise.resolve(state.previous < args.threshold && state.current >= args.threshold));
+
+    // Health degraded trigger
+    this._healthDegradedTrigger = new Homey.FlowCardTriggerDevice(UfvConstants.EVENT_NVR_HEALTH_DEGRADED);
+    this._healthDegradedTrigger.register();
+  }
+
+  onPair(socket) {
+    let api = null;
+
+    // Validate that at least one NVR has been configured
+    socket.on('validate', (data, callback) => {
+      callback(null, Homey.app.getControllers());
+    });
+
+    // Select the NVR to list the devices of
+    socket.on('select_nvr', (nvrId, callback) => {
+      api = Homey.app.getApi(nvrId);
+      callback(null, api ? 'ok' : 'nok');
+    });
+
+    // Perform when device list is shown
+    socket.on('list_devices', async (data, callback) => {
+      const nvr = await api.getServer();
+
+      callback(null, [
+        {
+          data: { id: String(nvr.id), nvr: api.getControllerId() },
+          name: nvr.name || nvr.host,
+        },
+      ]);
+    });
+  }
+
+  onParseWesocketMessage(nvr, payload) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(payload));
+
+    if (Object.prototype.hasOwnProperty.call(nvr, '_events')) {
+      nvr.onNvrUpdated(payload);
+    }
+  }
+}
+
+module.exports = UniFiNvrDriver;
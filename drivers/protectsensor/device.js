@@ -0,0 +1,122 @@
+'use strict';
+
+const Homey = require('homey');
+
+class Sensor extends Homey.Device {
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    if (!this.api) {
+      this.setUnavailable(Homey.__('errors.nvr_not_found'))
+          .catch(this.error);
+    }
+
+    this.waitForBootstrap()
+        .catch(this.error);
+    Homey.app.debug('UnifiSensor Device has been initialized');
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    Homey.app.debug('UnifiSensor Device has been added');
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    Homey.app.debug('UnifiSensor Device has been deleted');
+  }
+
+  async initSensor() {
+    this.sensor = this.getData();
+
+    await this._initSensorData();
+  }
+
+  // The API of the controller of the device, which may be added or replaced on the settings page later on.
+  get api() {
+    return Homey.app.getApi(this.getData().nvr);
+  }
+
+  async waitForBootstrap() {
+    await Homey.app.waitForBootstrap(this.getData().nvr);
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+    await this.initSensor();
+  }
+
+  async _initSensorData() {
+    const sensorData = this.api.getBootstrap();
+
+    if (sensorData && Array.isArray(sensorData.sensors)) {
+      sensorData.sensors.forEach((sensor) => {
+        if (sensor.id === this.sensor.id) {
+          if (sensor.stats) {
+            this.onStats(sensor.stats);
+          }
+          this.onIsOpened(sensor.isOpened);
+          this.onMotionDetected(sensor.isMotionDetected);
+          if (sensor.batteryStatus) {
+            this.onBatteryStatus(sensor.batteryStatus);
+          }
+        }
+      });
+    }
+  }
+
+  onStats(stats) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(stats));
+
+    if (stats.temperature && typeof stats.temperature.value === 'number') {
+      this.setCapabilityValue('measure_temperature', stats.temperature.value)
+          .catch(this.error);
+    }
+
+    if (stats.humidity && typeof stats.humidity.value === 'number') {
+      this.setCapabilityValue('measure_humidity', stats.humidity.value)
+          .catch(this.error);
+    }
+
+    if (stats.light && typeof stats.light.value === 'number') {
+      this.setCapabilityValue('measure_luminance', stats.light.value)
+          .catch(this.error);
+    }
+  }
+
+  onIsOpened(isOpened) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(isOpened));
+    this.setCapabilityValue('alarm_contact', Boolean(isOpened))
+        .catch(this.error);
+  }
+
+  onMotionDetected(isMotionDetected) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(isMotionDetected));
+    this.setCapabilityValue('alarm_motion', Boolean(isMotionDetected))
+        .catch(this.error);
+  }
+
+  onBatteryStatus(batteryStatus) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(batteryStatus));
+
+    if (typeof batteryStatus.percentage === 'number') {
+      this.setCapabilityValue('measure_battery', batteryStatus.percentage)
+          .catch(this.error);
+    }
+
+    if (batteryStatus.hasOwnProperty('isLow')) {
+      this.setCapabilityValue('alarm_battery', Boolean(batteryStatus.isLow))
+          .catch(this.error);
+    }
+  }
+}
+
+module.exports = Sensor;
@@ -0,0 +1,62 @@
+'use strict';
+
+const Homey = require('homey');
+
+class UniFiSensorDriver extends Homey.Driver {
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    Homey.app.debug('UnifiSensor Driver has been initialized');
+  }
+
+  onPair(socket) {
+    let api = null;
+
+    // Validate that at least one NVR has been configured
+    socket.on('validate', (data, callback) => {
+      callback(null, Homey.app.getControllers());
+    });
+
+    // Select the NVR to list the devices of
+    socket.on('select_nvr', (nvrId, callback) => {
+      api = Homey.app.getApi(nvrId);
+      callback(null, api ? 'ok' : 'nok');
+    });
+
+    // Perform when device list is shown
+    socket.on('list_devices', async (data, callback) => {
+      callback(null, Object.values(await api.getSensors()).map(sensor => {
+        return {
+          data: { id: String(sensor.id), nvr: api.getControllerId() },
+          name: sensor.name,
+        };
+      }));
+    });
+  }
+
+  onParseWesocketMessage(sensor, payload) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(payload));
+
+    if (Object.prototype.hasOwnProperty.call(sensor, '_events')) {
+      if (payload.hasOwnProperty('stats')) {
+        sensor.onStats(payload.stats);
+      }
+
+      if (payload.hasOwnProperty('isOpened')) {
+        sensor.onIsOpened(payload.isOpened);
+      }
+
+      if (payload.hasOwnProperty('isMotionDetected')) {
+        sensor.onMotionDetected(payload.isMotionDetected);
+      }
+
+      if (payload.hasOwnProperty('batteryStatus')) {
+        sensor.onBatteryStatus(payload.batteryStatus);
+      }
+    }
+  }
+}
+
+module.exports = UniFiSensorDriver;
@@ -0,0 +1,90 @@
+'use strict';
+
+const Homey = require('homey');
+
+class Viewer extends Homey.Device {
+  /**
+   * onInit is called when the device is initialized.
+   */
+  async onInit() {
+    if (!this.api) {
+      this.setUnavailable(Homey.__('errors.nvr_not_found'))
+          .catch(this.error);
+    }
+
+    this.waitForBootstrap()
+        .catch(this.error);
+    Homey.app.debug('UnifiViewer Device has been initialized');
+  }
+
+  /**
+   * onAdded is called when the user adds the device, called just after pairing.
+   */
+  async onAdded() {
+    Homey.app.debug('UnifiViewer Device has been added');
+  }
+
+  /**
+   * onDeleted is called when the user deleted the device.
+   */
+  async onDeleted() {
+    Homey.app.debug('UnifiViewer Device has been deleted');
+  }
+
+  async initViewer() {
+    this.viewer = this.getData();
+
+    await this._initViewerData();
+  }
+
+  // The API of the controller of the device, which may be added or replaced on the settings page later on.
+  get api() {
+    return Homey.app.getApi(this.getData().nvr);
+  }
+
+  async waitForBootstrap() {
+    await Homey.app.waitForBootstrap(this.getData().nvr);
+    if (!this.getAvailable()) {
+      await this.setAvailable();
+    }
+    await this.initViewer();
+  }
+
+  async _initViewerData() {
+    const viewerData = this.api.getBootstrap();
+
+    if (viewerData && Array.isArray(viewerData.viewers)) {
+      viewerData.viewers.forEach((viewer) => {
+        if (viewer.id === this.viewer.id) {
+          this.onLiveview(viewer.liveview);
+        }
+      });
+    }
+  }
+
+  _getLiveviews(query) {
+    return this.api.getLiveviews()
+        .then(liveviews => liveviews
+            .filter(liveview => String(liveview.name).toLowerCase().includes(query.toLowerCase()))
+            .map(liveview => {
+              return {
+                id: liveview.id,
+                name: liveview.name,
+              };
+            }));
+  }
+
+  onLiveview(liveviewId) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(liveviewId));
+
+    const bootstrap = this.api.getBootstrap();
+    const liveviews = (bootstrap && bootstrap.liveviews) || [];
+    const liveview = liveviews.find(item => item.id === liveviewId);
+
+    this.setCapabilityValue('viewer_liveview', liveview ? liveview.name : String(liveviewId || ''))
+        .catch(this.error);
+  }
+}
+
+module.exports = Viewer;
@@ -0,0 +1,67 @@
+'use strict';
+
+const Homey = require('homey');
+const UfvConstants = require('../../library/constants');
+
+class UniFiViewerDriver extends Homey.Driver {
+  /**
+   * onInit is called when the driver is initialized.
+   */
+  async onInit() {
+    // Flow cards are registered once, for all viewers
+    this._registerFlowCards();
+
+    Homey.app.debug('UnifiViewer Driver has been initialized');
+  }
+
+  _registerFlowCards() {
+    // Action 'switch to liveview'
+    new Homey.FlowCardAction(UfvConstants.ACTION_SET_VIEWER_LIVEVIEW)
+        .register()
+        .registerRunListener((args, state) => {
+          return args.device.api.setViewerLiveview(args.device.getData(), args.liveview.id)
+              .then(Homey.app.debug.bind(this, '[viewer.liveview]'))
+              .then(() => true);
+        })
+        .getArgument('liveview')
+        .registerAutocompleteListener((query, args) => args.device._getLiveviews(query));
+  }
+
+  onPair(socket) {
+    let api = null;
+
+    // Validate that at least one NVR has been configured
+    socket.on('validate', (data, callback) => {
+      callback(null, Homey.app.getControllers());
+    });
+
+    // Select the NVR to list the devices of
+    socket.on('select_nvr', (nvrId, callback) => {
+      api = Homey.app.getApi(nvrId);
+      callback(null, api ? 'ok' : 'nok');
+    });
+
+    // Perform when device list is shown
+    socket.on('list_devices', async (data, callback) => {
+      callback(null, Object.values(await api.getViewers()).map(viewer => {
+        return {
+          data: { id: String(viewer.id), nvr: api.getControllerId() },
+          name: viewer.name,
+        };
+      }));
+    });
+  }
+
+  onParseWesocketMessage(viewer, payload) {
+    // Debug information about playload
+    Homey.app.debug(JSON.stringify(payload));
+
+    if (Object.prototype.hasOwnProperty.call(viewer, '_events')) {
+      if (payload.hasOwnProperty('liveview')) {
+        viewer.onLiveview(payload.liveview);
+      }
+    }
+  }
+}
+
+module.exports = UniFiViewerDriver;
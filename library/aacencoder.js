@@ -0,0 +1,404 @@
+'use strict';
+
+const AacTables = require('./aactables');
+
+// Samples in a frame, and in the window the MDCT of a frame is taken over
+const FRAME_LENGTH = 1024;
+const WINDOW_LENGTH = 2 * FRAME_LENGTH;
+
+// Syntactic elements of a raw data block, and the codebooks used
+const ID_SCE = 0;
+const ID_END = 7;
+const ZERO_HCB = 0;
+const ESC_HCB = 11;
+
+// Largest value an escaped spectral value can have
+const MAX_QUANTIZED_VALUE = 8191;
+
+// A decoder can buffer at most this many bits of a mono frame
+const MAX_FRAME_BITS = 6144;
+
+// Length of the ADTS header without CRC
+const ADTS_HEADER_LENGTH = 7;
+
+class BitWriter {
+
+    constructor(length) {
+        this._buffer = Buffer.alloc(length);
+        this._position = 0;
+    }
+
+    write(value, bits) {
+        for (let bit = bits - 1; bit >= 0; bit--) {
+            if ((value >>> bit) & 1) {
+                this._buffer[this._position >>> 3] |= 0x80 >>> (this._position & 7);
+            }
+            this._position++;
+        }
+    }
+
+    // Pad with zeros up to the next byte and return the bytes written.
+    toBuffer() {
+        return this._buffer.slice(0, Math.ceil(this._position / 8));
+    }
+}
+
+// Minimal AAC-LC encoder for mono audio, it writes ADTS frames with long windows only. All bands share the global
+// gain, which is searched per frame so the frame fits the bitrate. That is good enough for speech through a speaker.
+class AacEncoder {
+
+    constructor(sampleRate, bitrate = 32000) {
+        this._sampleRateIndex = AacTables.SAMPLING_FREQUENCIES.indexOf(sampleRate);
+        this._bandOffsets = AacTables.SWB_OFFSET_1024[this._sampleRateIndex];
+        if (!this._bandOffsets) {
+            throw new Error(`Sample rate ${sampleRate} Hz is not supported.`);
+        }
+
+        this._sampleRate = sampleRate;
+        this._frameBits = Math.min(MAX_FRAME_BITS, Math.floor(bitrate * FRAME_LENGTH / sampleRate));
+
+        this._window = new Float64Array(WINDOW_LENGTH);
+        for (let n = 0; n < WINDOW_LENGTH; n++) {
+            this._window[n] = Math.sin(Math.PI * (n + 0.5) / WINDOW_LENGTH);
+        }
+
+        this._createFftTables();
+    }
+
+    getSampleRate() {
+        return this._sampleRate;
+    }
+
+    // Return the duration of a frame in milliseconds.
+    getFrameDuration() {
+        return FRAME_LENGTH * 1000 / this._sampleRate;
+    }
+
+    // Encode mono samples between -1 and 1 to ADTS frames. One frame more than the samples fill is returned, because
+    // every frame overlaps the previous one.
+    encode(samples) {
+        const frameCount = Math.ceil(samples.length / FRAME_LENGTH) + 1;
+        const input = new Float64Array((frameCount + 1) * FRAME_LENGTH);
+        for (let i = 0; i < samples.length; i++) {
+            input[FRAME_LENGTH + i] = samples[i] * 32768;
+        }
+
+        const frames = [];
+        for (let frame = 0; frame < frameCount; frame++) {
+            const spectrum = this._mdct(input.subarray(frame * FRAME_LENGTH, frame * FRAME_LENGTH + WINDOW_LENGTH));
+            frames.push(this._encodeFrame(spectrum));
+        }
+        return frames;
+    }
+
+    _createFftTables() {
+        const size = FRAME_LENGTH / 2;
+
+        // Twiddles of the FFT, and the rotation before and after it that turns it into a DCT-IV of a frame
+        this._fftCos = new Float64Array(size / 2);
+        this._fftSin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this._fftCos[i] = Math.cos(2 * Math.PI * i / size);
+            this._fftSin[i] = -Math.sin(2 * Math.PI * i / size);
+        }
+
+        this._preCos = new Float64Array(size);
+        this._preSin = new Float64Array(size);
+        this._postCos = new Float64Array(size);
+        this._postSin = new Float64Array(size);
+        for (let i = 0; i < size; i++) {
+            this._preCos[i] = Math.cos(Math.PI * ((4 * i) + 1) / (4 * FRAME_LENGTH));
+            this._preSin[i] = -Math.sin(Math.PI * ((4 * i) + 1) / (4 * FRAME_LENGTH));
+            this._postCos[i] = Math.cos(Math.PI * i / FRAME_LENGTH);
+            this._postSin[i] = -Math.sin(Math.PI * i / FRAME_LENGTH);
+        }
+
+        this._bitReverse = new Uint16Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                reversed |= ((i >>> bit) & 1) << (bits - 1 - bit);
+            }
+            this._bitReverse[i] = reversed;
+        }
+    }
+
+    // MDCT of a windowed block, the block is folded to a DCT-IV which is computed with an FFT of a quarter the length.
+    _mdct(block) {
+        const half = FRAME_LENGTH / 2;
+        const folded = new Float64Array(FRAME_LENGTH);
+        const window = this._window;
+
+        for (let n = 0; n < half; n++) {
+            const c = FRAME_LENGTH + half - 1 - n;
+            const d = FRAME_LENGTH + half + n;
+            const b = FRAME_LENGTH - 1 - n;
+            folded[n] = -(block[c] * window[c]) - (block[d] * window[d]);
+            folded[half + n] = (block[n] * window[n]) - (block[b] * window[b]);
+        }
+
+        const real = new Float64Array(half);
+        const imag = new Float64Array(half);
+        for (let n = 0; n < half; n++) {
+            const re = folded[2 * n];
+            const im = folded[FRAME_LENGTH - 1 - (2 * n)];
+            const index = this._bitReverse[n];
+            real[index] = (re * this._preCos[n]) - (im * this._preSin[n]);
+            imag[index] = (re * this._preSin[n]) + (im * this._preCos[n]);
+        }
+
+        this._fft(real, imag);
+
+        // The decoder scales its inverse transform by 2 / N
+        const spectrum = new Float64Array(FRAME_LENGTH);
+        for (let k = 0; k < half; k++) {
+            const re = (real[k] * this._postCos[k]) - (imag[k] * this._postSin[k]);
+            const im = (real[k] * this._postSin[k]) + (imag[k] * this._postCos[k]);
+            spectrum[2 * k] = 2 * re;
+            spectrum[FRAME_LENGTH - 1 - (2 * k)] = -2 * im;
+        }
+        return spectrum;
+    }
+
+    // In-place radix-2 FFT of input in bit reversed order.
+    _fft(real, imag) {
+        const size = real.length;
+
+        for (let length = 2; length <= size; length *= 2) {
+            const step = size / length;
+
+            for (let start = 0; start < size; start += length) {
+                for (let i = 0; i < length / 2; i++) {
+                    const even = start + i;
+                    const odd = even + (length / 2);
+                    const cos = this._fftCos[i * step];
+                    const sin = this._fftSin[i * step];
+                    const re = (real[odd] * cos) - (imag[odd] * sin);
+                    const im = (real[odd] * sin) + (imag[odd] * cos);
+
+                    real[odd] = real[even] - re;
+                    imag[odd] = imag[even] - im;
+                    real[even] += re;
+                    imag[even] += im;
+                }
+            }
+        }
+    }
+
+    // Quantize and encode the spectrum of a frame with the lowest global gain whose frame fits the bitrate.
+    _encodeFrame(spectrum) {
+        const magnitudes = spectrum.map(value => Math.pow(Math.abs(value), 0.75));
+
+        let low = 0;
+        let high = 255;
+        while (low < high) {
+            const gain = (low + high) >>> 1;
+            const quantized = this._quantize(spectrum, magnitudes, gain);
+
+            if (quantized && this._countBits(quantized) <= this._frameBits) {
+                high = gain;
+            } else {
+                low = gain + 1;
+            }
+        }
+
+        // At the highest gain everything may still be zero, which always fits
+        const quantized = this._quantize(spectrum, magnitudes, low) || new Int16Array(FRAME_LENGTH);
+        return this._writeFrame(quantized, low);
+    }
+
+    // Return the quantized spectrum, or null when a value is too large to encode.
+    _quantize(spectrum, magnitudes, gain) {
+        const scale = Math.pow(2, -0.1875 * (gain - 100));
+        const quantized = new Int16Array(FRAME_LENGTH);
+
+        for (let k = 0; k < FRAME_LENGTH; k++) {
+            const value = Math.floor((magnitudes[k] * scale) + 0.4054);
+            if (value > MAX_QUANTIZED_VALUE) {
+                return null;
+            }
+            quantized[k] = spectrum[k] < 0 ? -value : value;
+        }
+        return quantized;
+    }
+
+    // Return the number of bands up to the last band with a value.
+    _getMaxBand(quantized) {
+        for (let band = this._bandOffsets.length - 1; band > 0; band--) {
+            for (let k = this._bandOffsets[band - 1]; k < this._bandOffsets[band]; k++) {
+                if (quantized[k] !== 0) {
+                    return band;
+                }
+            }
+        }
+        return 0;
+    }
+
+    _isZeroBand(quantized, band) {
+        for (let k = this._bandOffsets[band]; k < this._bandOffsets[band + 1]; k++) {
+            if (quantized[k] !== 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Split the bands in sections of zero bands and bands that are coded with the escape codebook.
+    _getSections(quantized, maxBand) {
+        const sections = [];
+
+        for (let band = 0; band < maxBand; band++) {
+            const codebook = this._isZeroBand(quantized, band) ? ZERO_HCB : ESC_HCB;
+            const last = sections[sections.length - 1];
+
+            if (last && last.codebook === codebook) {
+                last.length++;
+            } else {
+                sections.push({ codebook, start: band, length: 1 });
+            }
+        }
+        return sections;
+    }
+
+    _countBits(quantized) {
+        const maxBand = this._getMaxBand(quantized);
+        const sections = this._getSections(quantized, maxBand);
+
+        // Element ids, instance tag, global gain, ics_info and the pulse, tns and gain control flags
+        let bits = 3 + 4 + 8 + 11 + 3 + 3;
+
+        sections.forEach(section => {
+            bits += 4 + (5 * (Math.floor(section.length / 31) + 1));
+            if (section.codebook === ZERO_HCB) return;
+
+            // Every scalefactor equals the global gain, the codeword of no difference is one bit
+            bits += section.length;
+
+            const start = this._bandOffsets[section.start];
+            const end = this._bandOffsets[section.start + section.length];
+            for (let k = start; k < end; k += 2) {
+                bits += this._countPairBits(quantized[k], quantized[k + 1]);
+            }
+        });
+
+        return bits + (ADTS_HEADER_LENGTH * 8) + 7;
+    }
+
+    _countPairBits(y, z) {
+        const absY = Math.abs(y);
+        const absZ = Math.abs(z);
+
+        return AacTables.HCB11_LENGTHS[(Math.min(absY, 16) * 17) + Math.min(absZ, 16)]
+            + (absY !== 0 ? 1 : 0) + (absZ !== 0 ? 1 : 0)
+            + this._countEscapeBits(absY) + this._countEscapeBits(absZ);
+    }
+
+    _countEscapeBits(value) {
+        if (value < 16) {
+            return 0;
+        }
+        const exponent = Math.floor(Math.log2(value));
+        return (2 * exponent) - 3;
+    }
+
+    _writeEscape(writer, value) {
+        if (value < 16) {
+            return;
+        }
+
+        // Prefix of exponent - 4 ones and a zero, followed by the value without its leading bit
+        const exponent = Math.floor(Math.log2(value));
+        writer.write((1 << (exponent - 3)) - 2, exponent - 3);
+        writer.write(value - (1 << exponent), exponent);
+    }
+
+    _writeFrame(quantized, gain) {
+        const maxBand = this._getMaxBand(quantized);
+        const sections = this._getSections(quantized, maxBand);
+        const writer = new BitWriter(ADTS_HEADER_LENGTH + (MAX_FRAME_BITS / 8) + 1);
+
+        // The ADTS header is written after the frame length is known
+        writer.write(0, ADTS_HEADER_LENGTH * 8);
+
+        writer.write(ID_SCE, 3);
+        writer.write(0, 4);
+        writer.write(gain, 8);
+
+        // ics_info: reserved bit, only long window sequence, sine window, max_sfb and no prediction
+        writer.write(0, 1);
+        writer.write(0, 2);
+        writer.write(0, 1);
+        writer.write(maxBand, 6);
+        writer.write(0, 1);
+
+        sections.forEach(section => {
+            writer.write(section.codebook, 4);
+
+            let length = section.length;
+            while (length >= 31) {
+                writer.write(31, 5);
+                length -= 31;
+            }
+            writer.write(length, 5);
+        });
+
+        sections
+            .filter(section => section.codebook !== ZERO_HCB)
+            .forEach(section => writer.write(0, section.length));
+
+        // No pulse, tns or gain control data
+        writer.write(0, 3);
+
+        sections
+            .filter(section => section.codebook !== ZERO_HCB)
+            .forEach(section => {
+                const start = this._bandOffsets[section.start];
+                const end = this._bandOffsets[section.start + section.length];
+
+                for (let k = start; k < end; k += 2) {
+                    const absY = Math.abs(quantized[k]);
+                    const absZ = Math.abs(quantized[k + 1]);
+                    const index = (Math.min(absY, 16) * 17) + Math.min(absZ, 16);
+
+                    writer.write(AacTables.HCB11_CODES[index], AacTables.HCB11_LENGTHS[index]);
+                    if (absY !== 0) writer.write(quantized[k] < 0 ? 1 : 0, 1);
+                    if (absZ !== 0) writer.write(quantized[k + 1] < 0 ? 1 : 0, 1);
+                    this._writeEscape(writer, absY);
+                    this._writeEscape(writer, absZ);
+                }
+            });
+
+        writer.write(ID_END, 3);
+
+        const frame = writer.toBuffer();
+        this._writeAdtsHeader(frame);
+        return frame;
+    }
+
+    _writeAdtsHeader(frame) {
+        const header = new BitWriter(ADTS_HEADER_LENGTH);
+
+        // Sync word, MPEG-4, layer 0 and no CRC
+        header.write(0xFFF, 12);
+        header.write(0, 1);
+        header.write(0, 2);
+        header.write(1, 1);
+
+        // AAC LC, one channel
+        header.write(1, 2);
+        header.write(this._sampleRateIndex, 4);
+        header.write(0, 1);
+        header.write(1, 3);
+        header.write(0, 4);
+
+        // Frame length including the header, a variable bitrate and one raw data block
+        header.write(frame.length, 13);
+        header.write(0x7FF, 11);
+        header.write(0, 2);
+
+        header.toBuffer().copy(frame, 0);
+    }
+}
+
+module.exports = AacEncoder;
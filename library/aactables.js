@@ -0,0 +1,116 @@
+'use strict';
+
+// Tables of ISO/IEC 14496-3 used by the AAC encoder.
+
+// Sampling frequencies, the index is the sampling_frequency_index of the ADTS header.
+const SAMPLING_FREQUENCIES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+// Offsets of the scalefactor bands of a long window.
+const SWB_OFFSET_1024_48 = [
+       0,    4,    8,   12,   16,   20,   24,   28,
+      32,   36,   40,   48,   56,   64,   72,   80,
+      88,   96,  108,  120,  132,  144,  160,  176,
+     196,  216,  240,  264,  292,  320,  352,  384,
+     416,  448,  480,  512,  544,  576,  608,  640,
+     672,  704,  736,  768,  800,  832,  864,  896,
+     928, 1024,
+];
+
+const SWB_OFFSET_1024_32 = [
+       0,    4,    8,   12,   16,   20,   24,   28,
+      32,   36,   40,   48,   56,   64,   72,   80,
+      88,   96,  108,  120,  132,  144,  160,  176,
+     196,  216,  240,  264,  292,  320,  352,  384,
+     416,  448,  480,  512,  544,  576,  608,  640,
+     672,  704,  736,  768,  800,  832,  864,  896,
+     928,  960,  992, 1024,
+];
+
+const SWB_OFFSET_1024_24 = [
+       0,    4,    8,   12,   16,   20,   24,   28,
+      32,   36,   40,   44,   52,   60,   68,   76,
+      84,   92,  100,  108,  116,  124,  136,  148,
+     160,  172,  188,  204,  220,  240,  260,  284,
+     308,  336,  364,  396,  432,  468,  508,  552,
+     600,  652,  704,  768,  832,  896,  960, 1024,
+];
+
+const SWB_OFFSET_1024_16 = [
+       0,    8,   16,   24,   32,   40,   48,   56,
+      64,   72,   80,   88,  100,  112,  124,  136,
+     148,  160,  172,  184,  196,  212,  228,  244,
+     260,  280,  300,  320,  344,  368,  396,  424,
+     456,  492,  532,  572,  616,  664,  716,  772,
+     832,  896,  960, 1024,
+];
+
+const SWB_OFFSET_1024_8 = [
+       0,   12,   24,   36,   48,   60,   72,   84,
+      96,  108,  120,  132,  144,  156,  172,  188,
+     204,  220,  236,  252,  268,  288,  308,  328,
+     348,  372,  396,  420,  448,  476,  508,  544,
+     580,  620,  664,  712,  764,  820,  880,  944,
+    1024,
+];
+
+// Only the sampling frequencies up to 48 kHz are supported.
+const SWB_OFFSET_1024 = {
+    3: SWB_OFFSET_1024_48,
+    4: SWB_OFFSET_1024_48,
+    5: SWB_OFFSET_1024_32,
+    6: SWB_OFFSET_1024_24,
+    7: SWB_OFFSET_1024_24,
+    8: SWB_OFFSET_1024_16,
+    9: SWB_OFFSET_1024_16,
+    10: SWB_OFFSET_1024_16,
+    11: SWB_OFFSET_1024_8,
+    12: SWB_OFFSET_1024_8,
+};
+
+// Spectral Huffman codebook 11, with the unsigned pair (x, y) at index x * 17 + y. A value of 16 is escaped.
+const HCB11_LENGTHS = [
+     4,  5,  6,  7,  8,  8,  9, 10, 10, 10, 11, 11, 12, 11, 12, 12, 10,
+     5,  4,  5,  6,  7,  7,  8,  8,  9,  9,  9, 10, 10, 10, 10, 11,  8,
+     6,  5,  5,  6,  7,  7,  8,  8,  8,  9,  9,  9, 10, 10, 10, 10,  8,
+     7,  6,  6,  6,  7,  7,  8,  8,  8,  9,  9,  9, 10, 10, 10, 10,  8,
+     8,  7,  7,  7,  7,  8,  8,  8,  8,  9,  9,  9, 10, 10, 10, 10,  8,
+     8,  7,  7,  7,  7,  8,  8,  8,  9,  9,  9,  9, 10, 10, 10, 10,  8,
+     9,  8,  8,  8,  8,  8,  8,  8,  9,  9,  9, 10, 10, 10, 10, 10,  8,
+     9,  8,  8,  8,  8,  8,  8,  9,  9,  9, 10, 10, 10, 10, 10, 10,  8,
+    10,  9,  8,  8,  9,  9,  9,  9,  9, 10, 10, 10, 10, 10, 10, 11,  8,
+    10,  9,  9,  9,  9,  9,  9,  9, 10, 10, 10, 10, 10, 10, 11, 11,  8,
+    11,  9,  9,  9,  9,  9,  9, 10, 10, 10, 10, 10, 11, 10, 11, 11,  8,
+    11, 10,  9,  9, 10,  9, 10, 10, 10, 10, 10, 11, 11, 11, 11, 11,  8,
+    11, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 11,  9,
+    11, 10,  9,  9, 10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 11, 11,  9,
+    11, 10, 10, 10, 10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 11, 11,  9,
+    12, 10, 10, 10, 10, 10, 10, 10, 11, 11, 11, 11, 11, 11, 12, 12,  9,
+     9,  8,  8,  8,  8,  8,  8,  8,  8,  8,  8,  8,  8,  8,  8,  9,  5,
+];
+
+const HCB11_CODES = [
+       0,    6,   25,   61,  156,  198,  423,  912,  962,  991, 2022, 2035, 4091, 2028, 4090, 4094,  910,
+       5,    1,    8,   20,   55,   66,  146,  175,  401,  421,  437,  926,  960,  930,  973, 2006,  174,
+      23,    7,    9,   24,   57,   64,  142,  163,  184,  409,  428,  449,  945,  918,  958,  970,  157,
+      60,   21,   22,   26,   59,   68,  145,  165,  190,  406,  430,  441,  929,  913,  933,  981,  148,
+     154,   54,   56,   58,   65,  140,  155,  176,  195,  414,  427,  444,  927,  911,  937,  975,  147,
+     191,   62,   63,   67,   69,  158,  167,  185,  404,  418,  442,  451,  934,  935,  955,  980,  159,
+     416,  143,  141,  144,  152,  166,  182,  196,  415,  431,  447,  921,  959,  948,  969,  999,  168,
+     438,  171,  164,  170,  178,  194,  197,  408,  420,  440,  908,  932,  964,  966,  989, 1000,  173,
+     943,  402,  189,  188,  398,  407,  410,  419,  433,  909,  920,  951,  979,  977,  987, 2013,  180,
+     990,  425,  411,  412,  417,  426,  429,  435,  907,  946,  952,  974,  993,  992, 2002, 2021,  183,
+    2019,  443,  424,  422,  432,  434,  439,  923,  922,  954,  949,  982, 2007,  996, 2008, 2026,  186,
+    2024,  928,  445,  436,  906,  452,  914,  938,  944,  956,  983, 2004, 2012, 2011, 2005, 2032,  193,
+    2043,  968,  931,  917,  925,  940,  942,  965,  984,  994,  998, 2020, 2023, 2016, 2025, 2039,  400,
+    2034,  915,  446,  448,  916,  919,  941,  963,  961,  978, 2010, 2009, 2015, 2027, 2036, 2042,  405,
+    2040,  957,  924,  939,  936,  947,  953,  976,  995,  997, 2018, 2014, 2029, 2033, 2041, 2044,  403,
+    4093,  988,  950,  967,  972,  971,  985,  986, 2003, 2017, 2030, 2031, 2037, 2038, 4092, 4095,  413,
+     450,  181,  161,  150,  151,  149,  153,  160,  162,  172,  169,  177,  179,  187,  192,  399,    4,
+];
+
+module.exports = {
+    SAMPLING_FREQUENCIES,
+    SWB_OFFSET_1024,
+    HCB11_LENGTHS,
+    HCB11_CODES,
+};
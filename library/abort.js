@@ -0,0 +1,41 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+// Signal of a ProtectAbortController, it can be passed to the web client like an AbortSignal.
+class ProtectAbortSignal extends EventEmitter {
+
+    constructor() {
+        super();
+
+        this.aborted = false;
+    }
+
+    addEventListener(type, listener) {
+        this.on(type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.removeListener(type, listener);
+    }
+}
+
+// Cancels requests and waits that are in progress, like those of a device that is deleted. Homey runs a version of
+// Node.js without AbortController.
+class ProtectAbortController {
+
+    constructor() {
+        this.signal = new ProtectAbortSignal();
+    }
+
+    abort() {
+        if (this.signal.aborted) {
+            return;
+        }
+
+        this.signal.aborted = true;
+        this.signal.emit('abort');
+    }
+}
+
+module.exports = ProtectAbortController;
@@ -0,0 +1,166 @@
+'use strict';
+
+const Homey = require('homey');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const UfvConstants = require('./constants');
+
+const mkdir = util.promisify(fs.mkdir);
+const readdir = util.promisify(fs.readdir);
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+const writeFile = util.promisify(fs.writeFile);
+
+// Camera ids and snapshot ids end up in file paths, so only allow plain identifiers
+const IDENTIFIER_PATTERN = /^[0-9A-Za-z_-]+$/;
+
+class ProtectSnapshotArchive {
+
+    constructor() {
+        // Tells snapshots apart that are stored within the same millisecond
+        this._sequence = 0;
+    }
+
+    // Return the archive settings, completed with the defaults. The limits of a camera can be set on the camera device,
+    // a limit of 0 uses the limit of the app.
+    getSettings(cameraId = null) {
+        const settings = Homey.ManagerSettings.get('ufp:archive') || {};
+        const result = {
+            motion: settings.motion === true,
+            maxCount: parseInt(settings.maxCount, 10) || UfvConstants.ARCHIVE_RETENTION_COUNT,
+            maxAge: parseInt(settings.maxAge, 10) || UfvConstants.ARCHIVE_RETENTION_DAYS,
+        };
+
+        const device = cameraId ? Homey.ManagerDrivers.getDriver('protectcamera').getDeviceById(cameraId) : null;
+        if (device) {
+            result.maxCount = parseInt(device.getSetting('archive_max_count'), 10) || result.maxCount;
+            result.maxAge = parseInt(device.getSetting('archive_max_age'), 10) || result.maxAge;
+        }
+
+        return result;
+    }
+
+    isMotionEnabled() {
+        return this.getSettings().motion;
+    }
+
+    _getCameraFolder(cameraId) {
+        if (!IDENTIFIER_PATTERN.test(String(cameraId))) {
+            throw new Error('Invalid camera identifier.');
+        }
+
+        return path.join(UfvConstants.ARCHIVE_FOLDER, String(cameraId));
+    }
+
+    _getSnapshotFile(cameraId, snapshotId) {
+        if (!IDENTIFIER_PATTERN.test(String(snapshotId))) {
+            throw new Error('Invalid snapshot identifier.');
+        }
+
+        return path.join(this._getCameraFolder(cameraId), `${snapshotId}.jpg`);
+    }
+
+    // Store a snapshot of a camera, the source tells what took the snapshot (flow or motion).
+    async store(cameraId, buffer, source) {
+        const folder = this._getCameraFolder(cameraId);
+
+        for (const dir of [UfvConstants.ARCHIVE_FOLDER, folder]) {
+            await mkdir(dir)
+                .catch(error => {
+                    if (error.code !== 'EEXIST') throw error;
+                });
+        }
+
+        this._sequence = (this._sequence + 1) % 1000;
+        const snapshotId = `${Date.now()}-${source}-${this._sequence}`;
+        await writeFile(this._getSnapshotFile(cameraId, snapshotId), buffer);
+        await this.applyRetention(cameraId);
+
+        Homey.app.debug(`Archived ${source} snapshot ${snapshotId} of camera ${cameraId}.`);
+        return snapshotId;
+    }
+
+    // Return the ids of the cameras that have archived snapshots.
+    async getCameraIds() {
+        const dirs = await readdir(UfvConstants.ARCHIVE_FOLDER)
+            .catch(error => {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            });
+
+        return dirs.filter(dir => IDENTIFIER_PATTERN.test(dir));
+    }
+
+    // Return the archived snapshots of a camera, newest first.
+    async list(cameraId) {
+        const files = await readdir(this._getCameraFolder(cameraId))
+            .catch(error => {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            });
+
+        // Snapshot file names are the time they were taken, the source and a sequence number, snapshots archived before
+        // there was a sequence number don't have one
+        return files
+            .filter(file => file.endsWith('.jpg'))
+            .map(file => {
+                const id = path.basename(file, '.jpg');
+                const [timestamp, source, sequence] = id.split('-');
+
+                return {
+                    id,
+                    camera: cameraId,
+                    timestamp: parseInt(timestamp, 10),
+                    source,
+                    sequence: parseInt(sequence, 10) || 0,
+                };
+            })
+            .filter(snapshot => !isNaN(snapshot.timestamp))
+            .sort((a, b) => (b.timestamp - a.timestamp) || (b.sequence - a.sequence));
+    }
+
+    async get(cameraId, snapshotId) {
+        return readFile(this._getSnapshotFile(cameraId, snapshotId));
+    }
+
+    async remove(cameraId, snapshotId) {
+        const file = this._getSnapshotFile(cameraId, snapshotId);
+
+        // Make sure it's an archived file before removing it
+        await stat(file);
+        await unlink(file);
+
+        Homey.app.debug(`Removed archived snapshot ${snapshotId} of camera ${cameraId}.`);
+        return true;
+    }
+
+    // Remove the snapshots of a camera that exceed its maximum count or age.
+    async applyRetention(cameraId) {
+        const settings = this.getSettings(cameraId);
+        const oldest = Date.now() - (settings.maxAge * 24 * 60 * 60 * 1000);
+        const snapshots = await this.list(cameraId);
+
+        const expired = snapshots.filter((snapshot, index) => index >= settings.maxCount || snapshot.timestamp < oldest);
+        // Snapshots stored at the same time apply the retention at the same time, and remove the same snapshots
+        await Promise.all(expired.map(snapshot => unlink(this._getSnapshotFile(cameraId, snapshot.id))
+            .catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            })));
+
+        return expired.length;
+    }
+
+    // Apply the retention to the snapshots of all cameras.
+    async cleanUp() {
+        const cameraIds = await this.getCameraIds();
+
+        for (const cameraId of cameraIds) {
+            await this.applyRetention(cameraId);
+        }
+        return true;
+    }
+}
+
+module.exports = ProtectSnapshotArchive;
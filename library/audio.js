@@ -0,0 +1,252 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const Mp3 = require('js-mp3');
+const UfvConstants = require('./constants');
+
+// Formats of the samples in a WAV file
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Samples in every frame of an MP3 file
+const MP3_SAMPLES_PER_FRAME = 1152;
+
+function isWav(buffer) {
+    return buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+// MP3 files start with an ID3 tag or with the sync word of the first frame.
+function isMp3(buffer) {
+    return buffer.length >= 3 && (buffer.toString('ascii', 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0));
+}
+
+function readSample(buffer, offset, format, bitsPerSample) {
+    if (format === WAVE_FORMAT_IEEE_FLOAT) {
+        return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+    }
+
+    switch (bitsPerSample) {
+        case 8:
+            return (buffer[offset] - 128) / 128;
+        case 16:
+            return buffer.readInt16LE(offset) / 32768;
+        case 24:
+            return buffer.readIntLE(offset, 3) / 8388608;
+        default:
+            return buffer.readInt32LE(offset) / 2147483648;
+    }
+}
+
+// Refuse audio that is longer than can be played, before it is decoded.
+function checkDuration(length, sampleRate) {
+    if (length / sampleRate > UfvConstants.TALKBACK_MAX_DURATION) {
+        throw new Error(`The audio is longer than ${UfvConstants.TALKBACK_MAX_DURATION} seconds.`);
+    }
+}
+
+// Decode PCM or float samples of a WAV file, mixed down to mono.
+function decodeWav(buffer) {
+    let fmt = null;
+    let data = null;
+
+    // Chunks are padded to an even length
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const start = offset + 8;
+
+        if (id === 'fmt ' && size >= 16) {
+            fmt = {
+                format: buffer.readUInt16LE(start),
+                channels: buffer.readUInt16LE(start + 2),
+                sampleRate: buffer.readUInt32LE(start + 4),
+                bitsPerSample: buffer.readUInt16LE(start + 14),
+            };
+
+            // The actual format of an extensible file is at the start of its subformat GUID
+            if (fmt.format === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+                fmt.format = buffer.readUInt16LE(start + 24);
+            }
+        } else if (id === 'data') {
+            data = buffer.slice(start, Math.min(buffer.length, start + size));
+        }
+
+        offset = start + size + (size % 2);
+    }
+
+    if (!fmt || !data) {
+        throw new Error('The WAV file has no audio.');
+    }
+    if ((fmt.format !== WAVE_FORMAT_PCM && fmt.format !== WAVE_FORMAT_IEEE_FLOAT)
+        || ![8, 16, 24, 32, 64].includes(fmt.bitsPerSample)
+        || (fmt.format === WAVE_FORMAT_PCM && fmt.bitsPerSample === 64)
+        || (fmt.format === WAVE_FORMAT_IEEE_FLOAT && fmt.bitsPerSample < 32)
+        || !fmt.channels || !fmt.sampleRate) {
+        throw new Error('Only PCM and floating point WAV files are supported.');
+    }
+
+    const bytesPerSample = fmt.bitsPerSample / 8;
+    const length = Math.floor(data.length / (bytesPerSample * fmt.channels));
+    checkDuration(length, fmt.sampleRate);
+
+    const samples = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        let sum = 0;
+        for (let channel = 0; channel < fmt.channels; channel++) {
+            sum += readSample(data, ((i * fmt.channels) + channel) * bytesPerSample, fmt.format, fmt.bitsPerSample);
+        }
+        samples[i] = sum / fmt.channels;
+    }
+
+    return { sampleRate: fmt.sampleRate, samples };
+}
+
+// Decode the 16 bit samples an MP3 file decodes to, mixed down to mono. The frames are counted before decoding, so
+// files that are too long are refused right away, and decoded one at a time into the samples.
+function decodeMp3(buffer) {
+    const decoder = Mp3.newDecoder(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    if (!decoder) {
+        throw new Error('The MP3 file could not be decoded.');
+    }
+
+    checkDuration(decoder.frameStarts.length * MP3_SAMPLES_PER_FRAME, decoder.sampleRate);
+
+    const channels = decoder.frame.header.numberOfChannels();
+    const samples = new Float32Array(decoder.frameStarts.length * MP3_SAMPLES_PER_FRAME);
+    let length = 0;
+
+    // The decoder already read the first frame, every next frame replaces its output
+    while (decoder.buf && length < samples.length) {
+        const pcm = new Int16Array(decoder.buf);
+        const frameLength = Math.min(samples.length - length, Math.floor(pcm.length / channels));
+
+        for (let i = 0; i < frameLength; i++) {
+            let sum = 0;
+            for (let channel = 0; channel < channels; channel++) {
+                sum += pcm[(i * channels) + channel];
+            }
+            samples[length + i] = sum / channels / 32768;
+        }
+        length += frameLength;
+
+        decoder.buf = null;
+        if (decoder.readFrame().err) break;
+    }
+
+    return { sampleRate: decoder.sampleRate, samples: samples.subarray(0, length) };
+}
+
+// Return the type of an audio file, wav or mp3, or null when it is neither.
+function getAudioType(buffer) {
+    if (isWav(buffer)) return 'wav';
+    if (isMp3(buffer)) return 'mp3';
+    return null;
+}
+
+// Decode a WAV or MP3 file to mono samples between -1 and 1, and the sample rate.
+function decodeAudio(buffer) {
+    const type = getAudioType(buffer);
+    if (!type) {
+        throw new Error('Only WAV and MP3 files are supported.');
+    }
+
+    const audio = type === 'wav' ? decodeWav(buffer) : decodeMp3(buffer);
+
+    if (audio.samples.length === 0) {
+        throw new Error('The audio file is empty.');
+    }
+
+    return audio;
+}
+
+// Resample mono samples to another sample rate. Going down the source samples that fall within every target sample are
+// averaged, so high frequencies don't fold back into the audio, going up the samples are interpolated.
+function resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) {
+        return samples;
+    }
+
+    const ratio = fromRate / toRate;
+    const length = Math.floor(samples.length / ratio);
+    const result = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+
+        if (ratio > 1) {
+            const from = Math.floor(position);
+            const to = Math.max(from + 1, Math.min(samples.length, Math.floor(position + ratio)));
+            let sum = 0;
+            for (let j = from; j < to; j++) {
+                sum += samples[j];
+            }
+            result[i] = sum / (to - from);
+        } else {
+            const from = Math.floor(position);
+            const to = Math.min(samples.length - 1, from + 1);
+            const fraction = position - from;
+            result[i] = (samples[from] * (1 - fraction)) + (samples[to] * fraction);
+        }
+    }
+
+    return result;
+}
+
+// Download an audio file, following redirects, like the output of a text to speech service.
+function fetchAudio(url, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        let location;
+        try {
+            location = new URL(url);
+        } catch (error) {
+            return reject(new Error('Invalid audio URL.'));
+        }
+        if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+            return reject(new Error('Only http and https audio URLs are supported.'));
+        }
+
+        const client = location.protocol === 'https:' ? https : http;
+        const req = client.get(location, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+                res.resume();
+                if (redirects === 0) {
+                    return reject(new Error('Too many redirects downloading the audio file.'));
+                }
+                return resolve(fetchAudio(new URL(res.headers.location, location).toString(), redirects - 1));
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                return reject(new Error(`Failed to download the audio file (status code: ${res.statusCode})`));
+            }
+
+            const data = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size > UfvConstants.TALKBACK_MAX_FILE_SIZE) {
+                    req.destroy(new Error('The audio file is too large.'));
+                    return;
+                }
+                data.push(chunk);
+            });
+            res.on('error', error => reject(error));
+            res.on('end', () => resolve(Buffer.concat(data)));
+        });
+
+        req.setTimeout(UfvConstants.HTTP_REQUEST_TIMEOUT * 1000, () => {
+            req.destroy(new Error(`Downloading the audio file timed out after ${UfvConstants.HTTP_REQUEST_TIMEOUT} seconds.`));
+        });
+        req.on('error', error => reject(error));
+    });
+}
+
+module.exports = {
+    getAudioType,
+    decodeAudio,
+    resample,
+    fetchAudio,
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const UfvConstants = require('./constants');
+
+// Prefix of encrypted secrets, so they can be told apart from secrets saved in plain text by previous versions
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+let encryptionKey = null;
+
+// Return the key secrets are encrypted with. It is kept in the app's userdata, apart from the settings.
+function getEncryptionKey() {
+    if (encryptionKey) {
+        return encryptionKey;
+    }
+
+    try {
+        encryptionKey = fs.readFileSync(UfvConstants.CREDENTIALS_KEY_FILE);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+
+        encryptionKey = crypto.randomBytes(32);
+        fs.writeFileSync(UfvConstants.CREDENTIALS_KEY_FILE, encryptionKey, { mode: 0o600 });
+    }
+
+    return encryptionKey;
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function encrypt(value) {
+    if (!value || isEncrypted(value)) {
+        return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+function decrypt(value) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const data = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), data.slice(0, 12));
+    decipher.setAuthTag(data.slice(12, 28));
+
+    return Buffer.concat([decipher.update(data.slice(28)), decipher.final()]).toString('utf8');
+}
+
+// Decrypt a secret to log in with. A secret that can't be decrypted anymore, like when the key was lost, has to be
+// entered again on the settings page.
+function decryptSecret(value) {
+    return Promise.resolve()
+        .then(() => decrypt(value))
+        .catch(() => {
+            throw new Error('The saved credentials could not be decrypted, they need to be re-entered.');
+        });
+}
+
+// Log in with the username and password of a local Protect user, the password is only decrypted to log in.
+class ProtectPasswordAuth {
+
+    constructor(credentials) {
+        this._username = credentials.username;
+        this._password = encrypt(credentials.password);
+    }
+
+    getType() {
+        return UfvConstants.AUTH_TYPE_PASSWORD;
+    }
+
+    isValid() {
+        return !!this._username && !!this._password;
+    }
+
+    login(api, host, port) {
+        return decryptSecret(this._password)
+            .then(password => api.login(host, port, this._username, password));
+    }
+
+    // Return the credentials as saved in the settings.
+    toSettings() {
+        return {
+            type: this.getType(),
+            username: this._username,
+            password: this._password,
+        };
+    }
+}
+
+// Authorize every request with an API key issued by the controller, there is no session to log in to.
+class ProtectApiKeyAuth {
+
+    constructor(credentials) {
+        this._apiKey = encrypt(credentials.apiKey);
+    }
+
+    getType() {
+        return UfvConstants.AUTH_TYPE_API_KEY;
+    }
+
+    isValid() {
+        return !!this._apiKey;
+    }
+
+    login(api, host, port) {
+        return decryptSecret(this._apiKey)
+            .then(apiKey => api.loginWithApiKey(host, port, apiKey));
+    }
+
+    toSettings() {
+        return {
+            type: this.getType(),
+            apiKey: this._apiKey,
+        };
+    }
+}
+
+// Create the auth provider for the credentials of a controller, credentials without a type are a username and password.
+function createAuthProvider(credentials) {
+    if (!credentials) {
+        return null;
+    }
+
+    if (credentials.type === UfvConstants.AUTH_TYPE_API_KEY) {
+        return new ProtectApiKeyAuth(credentials);
+    }
+    return new ProtectPasswordAuth(credentials);
+}
+
+// Replace the secrets in a message, like an error, by asterisks.
+function scrub(message, secrets) {
+    let result = String(message);
+
+    secrets
+        .filter(secret => !!secret)
+        .forEach(secret => {
+            result = result.split(secret).join('***');
+        });
+
+    return result;
+}
+
+module.exports = {
+    ProtectPasswordAuth,
+    ProtectApiKeyAuth,
+    createAuthProvider,
+    scrub,
+};
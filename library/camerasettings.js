@@ -0,0 +1,119 @@
+'use strict';
+
+const UfvConstants = require('./constants');
+
+function getFeatureFlags(cameraInfo) {
+    return cameraInfo.featureFlags || {};
+}
+
+function isPercentage(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 100;
+}
+
+function hasIspSetting(cameraInfo, key) {
+    return !!cameraInfo.ispSettings && typeof cameraInfo.ispSettings[key] !== 'undefined';
+}
+
+function readRecordingSetting(cameraInfo, key) {
+    return cameraInfo.recordingSettings ? cameraInfo.recordingSettings[key] : undefined;
+}
+
+function isPadding(value) {
+    return Number.isInteger(value) && value >= 0 && value <= UfvConstants.RECORDING_PADDING_MAX;
+}
+
+// Hardware and recording settings of a camera that can be changed. Every setting tells whether the camera supports it,
+// based on what its featureFlags report, whether a value is valid, how the value is patched and where it is read from
+// the camera, and the capability that shows it on the device.
+const CAMERA_SETTINGS = {
+    irMode: {
+        capability: 'camera_ir_mode',
+        isSupported: cameraInfo => !!getFeatureFlags(cameraInfo).hasLedIr,
+        isValid: (value, cameraInfo) => UfvConstants.CAMERA_IR_MODES.includes(value),
+        toPatch: value => ({ ispSettings: { irLedMode: value } }),
+        read: cameraInfo => (cameraInfo.ispSettings ? cameraInfo.ispSettings.irLedMode : undefined),
+    },
+    statusLight: {
+        capability: 'camera_status_light',
+        isSupported: cameraInfo => !!getFeatureFlags(cameraInfo).hasLedStatus,
+        isValid: (value, cameraInfo) => typeof value === 'boolean',
+        toPatch: value => ({ ledSettings: { isEnabled: value } }),
+        read: cameraInfo => (cameraInfo.ledSettings ? cameraInfo.ledSettings.isEnabled : undefined),
+    },
+    hdr: {
+        capability: 'camera_hdr',
+        isSupported: cameraInfo => !!getFeatureFlags(cameraInfo).hasHdr,
+        isValid: (value, cameraInfo) => typeof value === 'boolean',
+        toPatch: value => ({ hdrMode: value }),
+        read: cameraInfo => cameraInfo.hdrMode,
+    },
+    speakerVolume: {
+        capability: 'camera_speaker_volume',
+        isSupported: cameraInfo => !!getFeatureFlags(cameraInfo).hasSpeaker,
+        isValid: (value, cameraInfo) => isPercentage(value),
+        toPatch: value => ({ speakerSettings: { volume: value } }),
+        read: cameraInfo => (cameraInfo.speakerSettings ? cameraInfo.speakerSettings.volume : undefined),
+    },
+    micVolume: {
+        // Shown by the camera_microphone_volume capability, which has its own listener
+        capability: null,
+        isSupported: cameraInfo => !!getFeatureFlags(cameraInfo).hasMic,
+        isValid: (value, cameraInfo) => isPercentage(value),
+        toPatch: value => ({ micVolume: value }),
+        read: cameraInfo => cameraInfo.micVolume,
+    },
+    brightness: {
+        capability: 'camera_brightness',
+        isSupported: cameraInfo => hasIspSetting(cameraInfo, 'brightness'),
+        isValid: (value, cameraInfo) => isPercentage(value),
+        toPatch: value => ({ ispSettings: { brightness: value } }),
+        read: cameraInfo => (cameraInfo.ispSettings ? cameraInfo.ispSettings.brightness : undefined),
+    },
+    contrast: {
+        capability: 'camera_contrast',
+        isSupported: cameraInfo => hasIspSetting(cameraInfo, 'contrast'),
+        isValid: (value, cameraInfo) => isPercentage(value),
+        toPatch: value => ({ ispSettings: { contrast: value } }),
+        read: cameraInfo => (cameraInfo.ispSettings ? cameraInfo.ispSettings.contrast : undefined),
+    },
+    videoMode: {
+        capability: 'camera_video_mode',
+        // Every camera supports the default mode, only some support more
+        isSupported: cameraInfo => Array.isArray(getFeatureFlags(cameraInfo).videoModes) && getFeatureFlags(cameraInfo).videoModes.length > 1,
+        isValid: (value, cameraInfo) => UfvConstants.CAMERA_VIDEO_MODES.includes(value) && getFeatureFlags(cameraInfo).videoModes.includes(value),
+        toPatch: value => ({ videoMode: value }),
+        read: cameraInfo => cameraInfo.videoMode,
+    },
+    recordingMode: {
+        // Shown by the camera_recording_mode capability, as text
+        capability: null,
+        isSupported: cameraInfo => !!cameraInfo.recordingSettings,
+        isValid: (value, cameraInfo) => UfvConstants.RECORDING_MODES.includes(value),
+        toPatch: value => ({ recordingSettings: { mode: value } }),
+        read: cameraInfo => readRecordingSetting(cameraInfo, 'mode'),
+    },
+    prePadding: {
+        capability: null,
+        isSupported: cameraInfo => !!cameraInfo.recordingSettings,
+        isValid: (value, cameraInfo) => isPadding(value),
+        toPatch: value => ({ recordingSettings: { prePaddingSecs: value } }),
+        read: cameraInfo => readRecordingSetting(cameraInfo, 'prePaddingSecs'),
+    },
+    postPadding: {
+        capability: null,
+        isSupported: cameraInfo => !!cameraInfo.recordingSettings,
+        isValid: (value, cameraInfo) => isPadding(value),
+        toPatch: value => ({ recordingSettings: { postPaddingSecs: value } }),
+        read: cameraInfo => readRecordingSetting(cameraInfo, 'postPaddingSecs'),
+    },
+    smartDetectTypes: {
+        capability: null,
+        // The object types that trigger a recording, out of the types the camera can detect
+        isSupported: cameraInfo => !!getFeatureFlags(cameraInfo).hasSmartDetect && Array.isArray(getFeatureFlags(cameraInfo).smartDetectTypes),
+        isValid: (value, cameraInfo) => Array.isArray(value) && value.every(type => getFeatureFlags(cameraInfo).smartDetectTypes.includes(type)),
+        toPatch: value => ({ smartDetectSettings: { objectTypes: value } }),
+        read: cameraInfo => (cameraInfo.smartDetectSettings ? cameraInfo.smartDetectSettings.objectTypes : undefined),
+    },
+};
+
+module.exports = CAMERA_SETTINGS;
@@ -0,0 +1,25 @@
+'use strict';
+
+const UfvConstants = require('./constants');
+
+// Zones of a camera that can be turned on and off. Zones stay on the camera when they are turned off, only what makes
+// them detect anything is cleared: every type tells whether a zone is on, the settings that are cleared to turn it off
+// and the settings it is turned on with when the previous ones are not known.
+const CAMERA_ZONES = {
+    motionZones: {
+        // A motion zone without sensitivity doesn't detect motion
+        isEnabled: zone => zone.sensitivity > 0,
+        read: zone => ({ sensitivity: zone.sensitivity }),
+        disabled: () => ({ sensitivity: 0 }),
+        defaults: cameraInfo => ({ sensitivity: UfvConstants.CAMERA_ZONE_SENSITIVITY }),
+    },
+    smartDetectZones: {
+        // A smart detection zone without object types doesn't detect anything
+        isEnabled: zone => Array.isArray(zone.objectTypes) && zone.objectTypes.length > 0,
+        read: zone => ({ objectTypes: zone.objectTypes }),
+        disabled: () => ({ objectTypes: [] }),
+        defaults: cameraInfo => ({ objectTypes: (cameraInfo.featureFlags || {}).smartDetectTypes || [] }),
+    },
+};
+
+module.exports = CAMERA_ZONES;
@@ -0,0 +1,170 @@
+'use strict';
+
+const Homey = require('homey');
+const UfvConstants = require('./constants');
+
+// Connection states of a controller:
+//
+// disconnected -> authenticating -> bootstrapping -> streaming
+//
+// Any failure along the way ends in backoff, after which the controller is connected again from the start, so the
+// websocket always reconnects with the lastUpdateId of a fresh bootstrap.
+const STATES = UfvConstants.CONNECTION_STATES;
+
+class ProtectConnection {
+
+    constructor(controller, onConnectionChanged) {
+        this._controller = controller;
+        this._onConnectionChanged = onConnectionChanged;
+        this._state = STATES.DISCONNECTED;
+        this._attempt = 0;
+        this._timer = null;
+
+        // Incremented on every connect and disconnect, so the result of an outdated attempt is ignored
+        this._connectId = 0;
+
+        // Whether the controller was streaming before it got into backoff, to tell a lost connection apart from a
+        // controller that never connected, and whether it has to be restored.
+        this._connected = false;
+        this._lost = false;
+
+        // Resolved once the bootstrap has been loaded for the first time, which devices wait for
+        this._bootstrapped = new Promise(resolve => {
+            this._onBootstrapped = resolve;
+        });
+
+        this._controller.api.ws.setConnection(this);
+    }
+
+    getState() {
+        return this._state;
+    }
+
+    isConnected() {
+        return this._state === STATES.STREAMING;
+    }
+
+    whenBootstrapped() {
+        return this._bootstrapped;
+    }
+
+    _setState(state) {
+        if (this._state === state) {
+            return;
+        }
+
+        Homey.app.debug(`${this._controller.name}: connection state ${this._state} -> ${state}.`);
+        this._state = state;
+    }
+
+    // Connect to the controller from the start.
+    connect() {
+        clearTimeout(this._timer);
+        this._timer = null;
+
+        const controller = this._controller;
+        const connectId = ++this._connectId;
+
+        // Validate NVR IP address
+        if (!controller.nvrIp) {
+            Homey.app.debug('NVR IP address not set.');
+            return this.disconnect();
+        }
+
+        // Validate NVR credentials
+        if (!controller.auth || !controller.auth.isValid()) {
+            Homey.app.debug('Credentials not set.');
+            return this.disconnect();
+        }
+
+        // Close the websocket on purpose, it is opened again with the lastUpdateId of the new bootstrap
+        controller.api.ws.disconnectEventListener();
+
+        this._setState(STATES.AUTHENTICATING);
+        Homey.app.debug(`Logging in to ${controller.name}...`);
+
+        return controller.api.authenticate(controller.nvrIp, controller.nvrPort, controller.auth)
+            .then(() => {
+                if (connectId !== this._connectId) return;
+
+                this._setState(STATES.BOOTSTRAPPING);
+                return controller.api.getBootstrapInfo();
+            })
+            .then(() => {
+                if (connectId !== this._connectId) return;
+
+                Homey.app.debug(`Logged in to ${controller.name}, bootstrap loaded.`);
+                this._onBootstrapped();
+                controller.api.ws.launchUpdatesListener();
+                controller.api.ws.configureUpdatesListener();
+            })
+            .catch(error => {
+                if (connectId !== this._connectId) return;
+
+                Homey.app.debug(`${controller.name}: ${error}`);
+                this._backoff();
+            });
+    }
+
+    // Stop connecting, used when the controller is removed or not configured.
+    disconnect() {
+        this._connectId++;
+        clearTimeout(this._timer);
+        this._timer = null;
+        this._attempt = 0;
+        this._connected = false;
+        this._lost = false;
+        this._setState(STATES.DISCONNECTED);
+
+        return this._controller.api.ws.disconnectEventListener();
+    }
+
+    // Called by the websocket when it is connected to the realtime update events API.
+    onWebSocketOpened() {
+        this._attempt = 0;
+        this._setState(STATES.STREAMING);
+
+        this._connected = true;
+        if (this._lost) {
+            this._lost = false;
+            this._onConnectionChanged(this._controller, true);
+        }
+    }
+
+    // Called by the websocket when it was closed without being asked to.
+    onWebSocketClosed() {
+        if (this._state === STATES.DISCONNECTED || this._state === STATES.BACKOFF) {
+            return;
+        }
+
+        this._backoff();
+    }
+
+    // Wait before connecting again, twice as long as the previous attempt with a random part so controllers and
+    // devices don't all come back at the same moment.
+    _backoff() {
+        if (this._state === STATES.DISCONNECTED) {
+            return;
+        }
+
+        clearTimeout(this._timer);
+        this._controller.api.ws.disconnectEventListener();
+        this._setState(STATES.BACKOFF);
+
+        if (this._connected) {
+            this._connected = false;
+            this._lost = true;
+            this._onConnectionChanged(this._controller, false);
+        }
+
+        const maxDelay = Math.min(UfvConstants.PROTECT_RECONNECT_MAX_DELAY,
+            UfvConstants.PROTECT_RECONNECT_INITIAL_DELAY * Math.pow(2, this._attempt));
+        const delay = (maxDelay / 2) + (Math.random() * maxDelay / 2);
+        this._attempt++;
+
+        Homey.app.debug(`${this._controller.name}: connecting again in ${Math.round(delay)} seconds (attempt ${this._attempt}).`);
+        this._timer = setTimeout(() => this.connect(), delay * 1000);
+    }
+}
+
+module.exports = ProtectConnection;
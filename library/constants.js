@@ -14,8 +14,37 @@ module.exports.DEVICE_ANY = 'ufv_device_any';
 module.exports.DEVICE_NVR = 'ufv_device_nvr';
 module.exports.DEVICE_CAMERA = 'ufv_device_camera';
 
+// Identifier of the controller migrated from the single NVR settings of previous versions.
+module.exports.DEFAULT_CONTROLLER_ID = 'default';
+
 module.exports.ACTION_TAKE_SNAPSHOT = 'ufv_take_snapshot';
 module.exports.ACTION_SET_RECORDING_MODE = 'ufv_set_recording_mode';
+module.exports.ACTION_PLAY_CHIME = 'ufp_play_chime';
+module.exports.ACTION_SET_DOORBELL_PRESET_MESSAGE = 'ufp_set_doorbell_preset_message';
+module.exports.ACTION_SET_DOORBELL_CUSTOM_MESSAGE = 'ufp_set_doorbell_custom_message';
+module.exports.ACTION_CLEAR_DOORBELL_MESSAGE = 'ufp_clear_doorbell_message';
+module.exports.ACTION_SET_PRIVACY_MODE = 'ufp_set_privacy_mode';
+module.exports.ACTION_EXPORT_CLIP = 'ufp_export_clip';
+module.exports.ACTION_TAKE_SNAPSHOT_BURST = 'ufp_take_snapshot_burst';
+module.exports.ACTION_PTZ_GOTO_PRESET = 'ufp_ptz_goto_preset';
+module.exports.ACTION_PTZ_START_PATROL = 'ufp_ptz_start_patrol';
+module.exports.ACTION_PTZ_STOP_PATROL = 'ufp_ptz_stop_patrol';
+module.exports.ACTION_PTZ_MOVE = 'ufp_ptz_move';
+module.exports.ACTION_PTZ_ZOOM = 'ufp_ptz_zoom';
+module.exports.ACTION_SET_VIEWER_LIVEVIEW = 'ufp_set_viewer_liveview';
+module.exports.ACTION_SET_IR_MODE = 'ufp_set_ir_mode';
+module.exports.ACTION_SET_STATUS_LIGHT = 'ufp_set_status_light';
+module.exports.ACTION_SET_HDR = 'ufp_set_hdr';
+module.exports.ACTION_SET_SPEAKER_VOLUME = 'ufp_set_speaker_volume';
+module.exports.ACTION_SET_IMAGE_SETTINGS = 'ufp_set_image_settings';
+module.exports.ACTION_SET_VIDEO_MODE = 'ufp_set_video_mode';
+module.exports.ACTION_PLAY_AUDIO_URL = 'ufp_play_audio_url';
+module.exports.ACTION_PLAY_SOUND = 'ufp_play_sound';
+module.exports.ACTION_SET_ZONE = 'ufp_set_zone';
+module.exports.ACTION_SET_RECORDING_PADDING = 'ufp_set_recording_padding';
+module.exports.ACTION_SET_SMART_DETECT_RECORDING = 'ufp_set_smart_detect_recording';
+module.exports.ACTION_SAVE_RECORDING_PROFILE = 'ufp_save_recording_profile';
+module.exports.ACTION_APPLY_RECORDING_PROFILE = 'ufp_apply_recording_profile';
 
 module.exports.EVENT_CONNECTION_KEEPALIVE = 'ufv_event_connection_keepalive';
 module.exports.EVENT_CONNECTION_ERROR = 'ufv_event_connection_error';
@@ -33,6 +62,31 @@ module.exports.EVENT_PAIR_API_KEY = 'ufv_pair_apikey';
 module.exports.EVENT_SNAPSHOT_CREATED = 'ufv_snapshot_created';
 module.exports.EVENT_CONNECTION_CHANGED = 'ufp_connection_changed';
 module.exports.EVENT_DOORBELL_RINGING = 'ufp_doorbell_ringing';
+module.exports.EVENT_SMART_DETECTION = 'ufp_smart_detection';
+module.exports.EVENT_MOTION_ENDED = 'ufp_motion_ended';
+module.exports.EVENT_CLIP_EXPORTED = 'ufp_clip_exported';
+module.exports.EVENT_SNAPSHOT_BURST_CREATED = 'ufp_snapshot_burst_created';
+module.exports.EVENT_NVR_DISK_USAGE_ABOVE = 'ufp_nvr_disk_usage_above';
+module.exports.EVENT_NVR_HEALTH_DEGRADED = 'ufp_nvr_health_degraded';
+module.exports.EVENT_CHIME_RINGING = 'ufp_chime_ringing';
+module.exports.EVENT_NVR_CONNECTION_CHANGED = 'ufp_nvr_connection_changed';
+module.exports.EVENT_NVR_CERTIFICATE_CHANGED = 'ufp_nvr_certificate_changed';
+module.exports.EVENT_CAMERA_DOORBELL_RANG = 'ufp_camera_doorbell_rang';
+module.exports.EVENT_CAMERA_WENT_OFFLINE = 'ufp_camera_went_offline';
+module.exports.EVENT_CAMERA_CAME_ONLINE = 'ufp_camera_came_online';
+module.exports.EVENT_CAMERA_RECORDING_STARTED = 'ufp_camera_recording_started';
+module.exports.EVENT_CAMERA_RECORDING_STOPPED = 'ufp_camera_recording_stopped';
+module.exports.EVENT_CAMERA_SNAPSHOT_CREATED = 'ufp_camera_snapshot_created';
+module.exports.EVENT_CAMERA_MOTION_ENDED = 'ufp_camera_motion_ended';
+module.exports.EVENT_CAMERA_SMART_DETECTION = 'ufp_camera_smart_detection';
+
+module.exports.CONDITION_NVR_CONNECTED = 'ufp_nvr_connected';
+module.exports.CONDITION_CAMERA_RECORDING = 'ufp_camera_recording';
+module.exports.CONDITION_CAMERA_CONNECTED = 'ufp_camera_connected';
+module.exports.CONDITION_CAMERA_DARK = 'ufp_camera_dark';
+module.exports.CONDITION_CAMERA_MICROPHONE_ENABLED = 'ufp_camera_microphone_enabled';
+module.exports.CONDITION_CAMERA_RECORDING_MODE = 'ufp_camera_recording_mode';
+module.exports.CONDITION_CAMERA_MOTION_WITHIN = 'ufp_camera_motion_within';
 
 module.exports.EVENT_SETTINGS_DEBUG = 'com.ubnt.unifiprotect.debug';
 module.exports.EVENT_SETTINGS_STATUS = 'com.ubnt.unifiprotect.status';
@@ -40,16 +94,128 @@ module.exports.EVENT_SETTINGS_WEBSOCKET_STATUS = 'com.ubnt.unifiprotect.websocke
 module.exports.EVENT_SETTINGS_WEBSOCKET_LASTPONG = 'com.ubnt.unifiprotect.websocket.lastpong';
 module.exports.EVENT_SETTINGS_WEBSOCKET_LASTMESSAGE = 'com.ubnt.unifiprotect.websocket.lastmessage';
 
+// Realtime updates emitted as <modelKey>.<action>, for the models and actions of the realtime update events API.
+module.exports.EVENT_REALTIME_PREFIX = 'com.ubnt.unifiprotect.';
+module.exports.REALTIME_MODEL_KEYS = ['nvr', 'camera', 'light', 'sensor', 'chime', 'viewer', 'bridge', 'liveview', 'event'];
+module.exports.REALTIME_ACTIONS = ['add', 'update', 'remove'];
+// Devices and the NVR send their statistics every second, updates with nothing else are passed on once in this many seconds.
+module.exports.REALTIME_STATS_FIELDS = ['stats', 'lastSeen', 'upSince', 'uptime', 'wifiConnectionState', 'phyRate', 'storageStats', 'systemInfo'];
+module.exports.REALTIME_STATS_INTERVAL = 30;
+
 module.exports.UPDATE_PACKET_HEADER_SIZE = 8;
 
+// Ways to authorize with a controller: the username and password of a local user, or an API key issued by the controller.
+module.exports.AUTH_TYPE_PASSWORD = 'password';
+module.exports.AUTH_TYPE_API_KEY = 'apikey';
+// File in the app's userdata with the key that passwords and API keys in the settings are encrypted with.
+module.exports.CREDENTIALS_KEY_FILE = '/userdata/credentials.key';
+
+// Ways to trust the certificate of a controller: pin it when first connecting, or verify it with a custom CA.
+module.exports.TRUST_MODE_TOFU = 'tofu';
+module.exports.TRUST_MODE_CA = 'ca';
+
+// Types of controller: UniFi OS, or legacy UniFi Protect on a Cloud Key Gen2+ or UNVR without UniFi OS.
+module.exports.CONTROLLER_TYPE_UNIFI_OS = 'unifios';
+module.exports.CONTROLLER_TYPE_LEGACY = 'legacy';
+
+// Paths of the API, realtime update events API and integration API, and the port of legacy UniFi Protect.
+module.exports.UNIFI_OS_API_ENDPOINT = '/proxy/protect/api';
+module.exports.UNIFI_OS_UPDATES_ENDPOINT = '/proxy/protect/ws/updates';
+module.exports.UNIFI_OS_INTEGRATION_ENDPOINT = '/proxy/protect/integration/v1';
+module.exports.LEGACY_API_ENDPOINT = '/api';
+module.exports.LEGACY_UPDATES_ENDPOINT = '/ws/updates';
+module.exports.LEGACY_PROTECT_PORT = 7443;
+
+// States of the connection with a controller.
+module.exports.CONNECTION_STATES = {
+    DISCONNECTED: 'disconnected',
+    AUTHENTICATING: 'authenticating',
+    BOOTSTRAPPING: 'bootstrapping',
+    STREAMING: 'streaming',
+    BACKOFF: 'backoff',
+};
+
+// Message types the LCD screen of a doorbell can show, and the maximum length of a custom message.
+module.exports.LCD_MESSAGE_TYPES = ['LEAVE_PACKAGE_AT_DOOR', 'DO_NOT_DISTURB', 'CUSTOM_MESSAGE'];
+module.exports.LCD_MESSAGE_MAX_LENGTH = 30;
+
+// Width, in pixels, of the snapshots of a burst and of every frame on its contact sheet.
+module.exports.SNAPSHOT_BURST_WIDTH = 640;
+module.exports.SNAPSHOT_BURST_TILE_WIDTH = 480;
+
+// Folder in the app's userdata where exported clips are stored, and the number of clips kept per camera.
+module.exports.CLIP_FOLDER = '/userdata/clips';
+module.exports.CLIP_RETENTION_COUNT = 10;
+// Time, in seconds, the NVR needs to finish recording before a clip ending now can be exported.
+module.exports.CLIP_EXPORT_DELAY = 5;
+
+// Folder in the app's userdata where archived snapshots are stored, and the default number and age, in days, of the snapshots kept per camera.
+module.exports.ARCHIVE_FOLDER = '/userdata/snapshots';
+module.exports.ARCHIVE_RETENTION_COUNT = 50;
+module.exports.ARCHIVE_RETENTION_DAYS = 7;
+// Width, in pixels, of the snapshots archived when motion starts.
+module.exports.ARCHIVE_SNAPSHOT_WIDTH = 1280;
+// How often, in seconds, should we remove archived snapshots that are too old.
+module.exports.ARCHIVE_CLEANUP_INTERVAL = 3600;
+
+// Name of the full frame privacy zone added by privacy mode.
+module.exports.PRIVACY_ZONE_NAME = 'Homey privacy mode';
+
+// Preset slot of the home position of a PTZ camera, and the speed used to move it.
+module.exports.PTZ_HOME_SLOT = -1;
+module.exports.PTZ_DEFAULT_SPEED = 10;
+
+// Bitrate, in bits per second, of the audio played through the speaker of a camera, and the number of frames sent ahead of what is played.
+module.exports.TALKBACK_BITRATE = 32000;
+module.exports.TALKBACK_BUFFER_FRAMES = 4;
+// Longest audio, in seconds, and largest audio file, in bytes, that can be played through the speaker of a camera.
+module.exports.TALKBACK_MAX_DURATION = 60;
+module.exports.TALKBACK_MAX_FILE_SIZE = 5 * 1024 * 1024;
+// Folder in the app's userdata where the sounds uploaded on the settings page are stored.
+module.exports.SOUND_FOLDER = '/userdata/sounds';
+
+// IR LED modes and video modes a camera can be set to, if it supports them.
+module.exports.CAMERA_IR_MODES = ['auto', 'on', 'off', 'autoFilterOnly'];
+module.exports.CAMERA_VIDEO_MODES = ['default', 'highFps', 'homekit', 'sport', 'slowShutter'];
+
+// Recording modes of a camera, detections records only smart detections. The seconds recorded before and after motion
+// can be padded with at most this many seconds.
+module.exports.RECORDING_MODES = ['never', 'always', 'motion', 'detections'];
+module.exports.RECORDING_PADDING_MAX = 60;
+// Settings of a camera that are saved in a recording profile, together with the zones that are turned on and off.
+module.exports.RECORDING_PROFILE_SETTINGS = ['recordingMode', 'prePadding', 'postPadding', 'smartDetectTypes'];
+// Zones of a camera that can be turned on and off: motion zones and smart detection zones. Zones that were turned off
+// before the app knew their sensitivity are turned on again with this sensitivity.
+module.exports.CAMERA_ZONE_TYPES = ['motionZones', 'smartDetectZones'];
+module.exports.CAMERA_ZONE_SENSITIVITY = 50;
+
+// Object types a camera with smart detection can report, each has an alarm_smart_<type> capability.
+module.exports.SMART_DETECT_TYPES = ['person', 'vehicle', 'animal', 'package'];
+
+// Time, in seconds, a request to the controller may wait for data before it is aborted. Logging in should be quick,
+// exporting a clip can take a while before the NVR starts sending it.
+module.exports.HTTP_REQUEST_TIMEOUT = 10;
+module.exports.HTTP_LOGIN_TIMEOUT = 5;
+module.exports.HTTP_DOWNLOAD_TIMEOUT = 60;
+
+// Time, in seconds, the controller may take to accept the websocket of the realtime update events API.
+module.exports.WEBSOCKET_HANDSHAKE_TIMEOUT = 10;
+
 // Heartbeat interval, in seconds, for the realtime Protect API on UniFI OS devices.
 // UniFi OS expects to hear from us every 15 seconds.
 module.exports.PROTECT_EVENTS_HEARTBEAT_INTERVAL = 10;
 
 // How often, in seconds, should we refresh our Protect login credentials.
 module.exports.PROTECT_LOGIN_REFRESH_INTERVAL = 1800;
+// Delay, in seconds, before the first attempt to connect again to a controller, doubled on every next attempt up to the maximum.
+module.exports.PROTECT_RECONNECT_INITIAL_DELAY = 2;
+module.exports.PROTECT_RECONNECT_MAX_DELAY = 300;
 // Default duration, in seconds, of motion events. Setting this too low will potentially cause a lot of notification spam.
 module.exports.PROTECT_MOTION_DURATION = 10;
+// Delay, in seconds, after motion ended before the events API is polled for a motion event the websocket did not deliver.
+module.exports.PROTECT_MOTION_EVENT_POLL_DELAY = 5;
+// Duration, in seconds, a smart detection alarm stays active before it is cleared again.
+module.exports.PROTECT_SMART_DETECTION_DURATION = 30;
 // How often, in seconds, should we try to reconnect with an MQTT broker, if we have one configured.
 module.exports.PROTECT_MQTT_RECONNECT_INTERVAL = 60;
 // Default MQTT topic to use when publishing events. This is in the form of: unifi/protect/camera/event
@@ -57,3 +223,5 @@ module.exports.PROTECT_MQTT_TOPIC = "unifi/protect";
 // How often, in seconds, should we check Protect controllers for new or removed devices.
 // This will NOT impact motion or doorbell event detection on UniFi OS devices.
 module.exports.PROTECT_NVR_UNIFIOS_REFRESH_INTERVAL = 10;
+// How often, in seconds, should we refresh the NVR storage and health information.
+module.exports.PROTECT_NVR_STATUS_REFRESH_INTERVAL = 300;
@@ -0,0 +1,98 @@
+'use strict';
+
+const jpeg = require('jpeg-js');
+
+// Background color of the contact sheet, between and around the frames
+const BACKGROUND = 0x20;
+
+class ProtectContactSheet {
+
+    constructor(tileWidth = 480, spacing = 4, quality = 80) {
+        this._tileWidth = tileWidth;
+        this._tileHeight = null;
+        this._spacing = spacing;
+        this._quality = quality;
+        this._tiles = [];
+    }
+
+    getFrameCount() {
+        return this._tiles.length;
+    }
+
+    // Decode a JPEG frame and scale it down to a tile right away, so only the small tiles are kept in memory.
+    addFrame(jpegBuffer) {
+        const frame = jpeg.decode(jpegBuffer, { useTArray: true, formatAsRGBA: true });
+
+        // All tiles get the size of the first frame, scaled to the tile width
+        if (this._tileHeight === null) {
+            this._tileHeight = Math.max(1, Math.round(frame.height * this._tileWidth / frame.width));
+        }
+
+        this._tiles.push(this.scaleFrame(frame, this._tileWidth, this._tileHeight));
+    }
+
+    // Scale a decoded frame by averaging the source pixels that fall within every target pixel.
+    scaleFrame(frame, width, height) {
+        const data = new Uint8Array(width * height * 4);
+        const scaleX = frame.width / width;
+        const scaleY = frame.height / height;
+
+        for (let y = 0; y < height; y++) {
+            const fromY = Math.floor(y * scaleY);
+            const toY = Math.max(fromY + 1, Math.min(frame.height, Math.floor((y + 1) * scaleY)));
+
+            for (let x = 0; x < width; x++) {
+                const fromX = Math.floor(x * scaleX);
+                const toX = Math.max(fromX + 1, Math.min(frame.width, Math.floor((x + 1) * scaleX)));
+                let red = 0;
+                let green = 0;
+                let blue = 0;
+
+                for (let sy = fromY; sy < toY; sy++) {
+                    for (let sx = fromX; sx < toX; sx++) {
+                        const offset = ((sy * frame.width) + sx) * 4;
+                        red += frame.data[offset];
+                        green += frame.data[offset + 1];
+                        blue += frame.data[offset + 2];
+                    }
+                }
+
+                const count = (toY - fromY) * (toX - fromX);
+                const offset = ((y * width) + x) * 4;
+                data[offset] = red / count;
+                data[offset + 1] = green / count;
+                data[offset + 2] = blue / count;
+                data[offset + 3] = 0xFF;
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    // Lay out the tiles in a grid that is about as wide as it is high, and encode it as JPEG.
+    toJpeg() {
+        if (this._tiles.length === 0) {
+            throw new Error('No frames added to contact sheet.');
+        }
+
+        const columns = Math.ceil(Math.sqrt(this._tiles.length));
+        const rows = Math.ceil(this._tiles.length / columns);
+        const width = (columns * this._tileWidth) + ((columns + 1) * this._spacing);
+        const height = (rows * this._tileHeight) + ((rows + 1) * this._spacing);
+        const data = Buffer.alloc(width * height * 4, BACKGROUND);
+
+        this._tiles.forEach((tile, index) => {
+            const left = this._spacing + ((index % columns) * (this._tileWidth + this._spacing));
+            const top = this._spacing + (Math.floor(index / columns) * (this._tileHeight + this._spacing));
+
+            for (let y = 0; y < tile.height; y++) {
+                const rowStart = y * tile.width * 4;
+                data.set(tile.data.subarray(rowStart, rowStart + (tile.width * 4)), (((top + y) * width) + left) * 4);
+            }
+        });
+
+        return jpeg.encode({ width, height, data }, this._quality).data;
+    }
+}
+
+module.exports = ProtectContactSheet;
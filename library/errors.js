@@ -0,0 +1,19 @@
+'use strict';
+
+// Error of a request to the controller, with the status code and the endpoint that was requested.
+class ProtectHttpError extends Error {
+
+    constructor(message, details = {}) {
+        super(message);
+
+        this.name = 'ProtectHttpError';
+        this.statusCode = details.statusCode || null;
+        this.method = details.method || null;
+        this.endpoint = details.endpoint || null;
+        this.code = details.code || null;
+    }
+}
+
+module.exports = {
+    ProtectHttpError,
+};
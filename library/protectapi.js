@@ -1,29 +1,78 @@
 'use strict';
 
 const Homey = require('homey');
-const https = require('https');
 const ProtectWebClient = require('./webclient');
 const ProtectWebSocket = require('./websocket');
+const ProtectTrust = require('./trust');
+const ProtectTalkback = require('./talkback');
+const { scrub } = require('./auth');
+const { ProtectHttpError } = require('./errors');
+const CAMERA_SETTINGS = require('./camerasettings');
+const CAMERA_ZONES = require('./camerazones');
 const UfvConstants = require('./constants');
 
-let UFV_API_ENDPOINT = '/proxy/protect/api';
+// Merge the changed fields of an update into a model of the bootstrap, nested objects only hold the changed fields too.
+function mergeUpdate(target, payload) {
+    Object.keys(payload).forEach(key => {
+        const value = payload[key];
+
+        if (value && typeof value === 'object' && !Array.isArray(value)
+            && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            mergeUpdate(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+    return target;
+}
 
 class ProtectAPI {
 
-    constructor() {
-        // Single WebSocket instance for all devices
-        this.ws = new ProtectWebSocket();
+    constructor(controllerId) {
+        this._controllerId = controllerId;
+
+        // Single WebSocket instance for all devices of this controller
+        this.ws = new ProtectWebSocket(this);
         this.webclient = new ProtectWebClient();
+        this.webclient.setLoginHandler(() => this.relogin());
+
+        // Every connection to the controller verifies its certificate
+        this.trust = new ProtectTrust(controllerId);
+        this.webclient.setAgent(this.trust.getAgent());
 
         this._bootstrap = null;
         this._lastUpdateId = null;
         this._rtspPort = null;
+        this._authProvider = null;
+
+        // Cameras that are playing audio through their speaker
+        this._talkbackCameras = new Set();
+    }
+
+    // Close the websocket and the connections to the controller, the API can't be used anymore.
+    destroy() {
+        this.ws.disconnectEventListener();
+        this.trust.destroy();
+    }
+
+    getControllerId() {
+        return this._controllerId;
     }
 
     getProxyCookieToken() {
         return this.webclient.getCookieToken();
     }
 
+    // Return the agent that verifies the certificate of the controller, for connections outside of the web client.
+    getAgent() {
+        return this.trust.getAgent();
+    }
+
+    // Return the headers that authorize a request outside of the web client, like the websocket.
+    getAuthHeaders() {
+        return this.webclient.getAuthHeaders();
+    }
+
     getHost() {
         return this.webclient.getServerHost();
     }
@@ -49,149 +98,305 @@ class ProtectAPI {
 
     }
 
+    // Get the CSRF token, resolves whether the controller runs UniFi OS.
     getCSRFToken(host, port) {
         Homey.app.debug('Get CSRF Token...');
+        this.webclient.setCSRFToken(null);
+        Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Getting CSRF token');
+
+        if (!host) return Promise.reject(new Error('Invalid host.'));
+
+        return this.webclient.send({
+            method: 'GET',
+            path: '/',
+            headers: {
+                Accept: '*/*',
+                'x-csrf-token': 'undefined',
+            },
+            timeout: UfvConstants.HTTP_LOGIN_TIMEOUT,
+        })
+            .then(response => {
+                // Only UniFi OS hands out a CSRF token, legacy controllers don't
+                if (!response.headers['x-csrf-token']) {
+                    return false;
+                }
+                this.webclient.setCSRFToken(response.headers['x-csrf-token']);
 
-        return new Promise((resolve, reject) => {
-            Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Getting CSRF token');
+                // Connected
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'CSRF Token found');
+                return true;
+            })
+            .catch(error => {
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Disconnected');
+                throw error;
+            });
+    }
 
-            if (!host) reject(new Error('Invalid host.'));
+    // Log in with the given auth provider, which is used again to log in when the session has expired.
+    authenticate(host, port, authProvider) {
+        this._authProvider = authProvider;
+        return authProvider.login(this, host, port);
+    }
 
-            const options = {
-                method: 'GET',
-                hostname: host,
-                port: port,
-                path: '/',
-                headers: {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    Accept: '*/*',
-                    'x-csrf-token': 'undefined'
-                },
-                maxRedirects: 20,
-                rejectUnauthorized: false,
-                timeout: 2000,
-                keepAlive: true,
-            };
+    login(host, port, username, password) {
+        Homey.app.debug('Logging in...');
 
-            const req = https.request(options, res => {
-                const body = [];
+        this.webclient.setServerHost(host);
+        this.webclient.setServerPort(port);
+        this.webclient.setAuthApiKey(null);
 
-                res.on('data', chunk => body.push(chunk));
-                res.on('end', () => {
-                    // Obtain authorization header
-                    res.rawHeaders.forEach((item, index) => {
-                        if (item.toLowerCase() === 'set-cookie') {
-                            this.webclient.setCookieToken(res.rawHeaders[index + 1]);
-                        }
+        return this.getCSRFToken(host, port)
+            .then(isUnifiOs => {
+                if (isUnifiOs) {
+                    this.webclient.setControllerType(UfvConstants.CONTROLLER_TYPE_UNIFI_OS);
+                    return this._loginUnifiOs(host, port, username, password);
+                }
+                return this._tryLoginLegacy(host, port, username, password, null);
+            }, error => this._tryLoginLegacy(host, port, username, password, error))
+            .catch(error => {
+                // Never let the password end up in an error message
+                throw new Error(scrub(error.message || error, [password]));
+            });
+    }
 
-                        // X-CSRF-Token
-                        if (item.toLowerCase() === 'x-csrf-token') {
-                            this.webclient.setCSRFToken(res.rawHeaders[index + 1]);
-                        }
+    // There is no session with an API key, it is sent with every request instead.
+    // API keys are issued for the integration API, the key is verified there before it is used for the other requests.
+    loginWithApiKey(host, port, apiKey) {
+        Homey.app.debug('Using API key...');
+
+        this.webclient.setServerHost(host);
+        this.webclient.setServerPort(port);
+        this.webclient.setControllerType(UfvConstants.CONTROLLER_TYPE_UNIFI_OS);
+
+        if (!host) return Promise.reject(new Error('Invalid host.'));
+        if (!apiKey) return Promise.reject(new Error('Invalid API key.'));
+
+        this.webclient.setAuthApiKey(apiKey);
+        Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connecting');
+
+        const endpoint = `${UfvConstants.UNIFI_OS_INTEGRATION_ENDPOINT}/meta/info`;
+        return this.webclient.send({
+            method: 'GET',
+            path: endpoint,
+            headers: Object.assign({
+                Accept: 'application/json',
+            }, this.webclient.getAuthHeaders()),
+            timeout: UfvConstants.HTTP_LOGIN_TIMEOUT,
+        })
+            .then(response => {
+                if (response.statusCode === 401 || response.statusCode === 403) {
+                    throw new Error('The API key was refused by the controller.');
+                }
+                if (response.statusCode !== 200) {
+                    throw new ProtectHttpError(`The controller has no integration API to use the API key with (status code: ${response.statusCode})`, {
+                        statusCode: response.statusCode,
+                        method: 'GET',
+                        endpoint,
                     });
+                }
 
-                    if (this.webclient.getCSRFToken() === null) {
-                        reject(new Error('Invalid x-csrf-token header.'));
-                        return;
-                    }
+                // Connected
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connected');
+                return 'Using API key...';
+            })
+            .catch(error => {
+                this.webclient.setAuthApiKey(null);
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Disconnected');
+                throw error;
+            });
+    }
 
-                    // Connected
-                    Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'CSRF Token found');
-                    //
-                    return resolve('We got it!');
-                });
+    isLegacy() {
+        return this.webclient.isLegacy();
+    }
+
+    _loginUnifiOs(host, port, username, password) {
+        Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connecting');
+
+        if (!host) return Promise.reject(new Error('Invalid host.'));
+        if (!username) return Promise.reject(new Error('Invalid username.'));
+        if (!password) return Promise.reject(new Error('Invalid password.'));
+
+        // The session cookie is handed out with the response
+        this.webclient.setCookieToken(null);
+
+        return this.webclient.send({
+            method: 'POST',
+            path: '/api/auth/login',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                Accept: 'application/json',
+                'x-csrf-token': this.webclient.getCSRFToken(),
+            },
+            body: JSON.stringify({ username, password }),
+            timeout: UfvConstants.HTTP_LOGIN_TIMEOUT,
+        })
+            .then(response => {
+                if (response.statusCode !== 200) {
+                    throw new ProtectHttpError(`Request failed: /api/auth/login (status code: ${response.statusCode})`, {
+                        statusCode: response.statusCode,
+                        method: 'POST',
+                        endpoint: '/api/auth/login',
+                    });
+                }
+
+                if (response.headers['x-csrf-token']) {
+                    this.webclient.setCSRFToken(response.headers['x-csrf-token']);
+                }
+
+                if (!this.webclient.hasSession()) {
+                    throw new Error('Invalid set-cookie header.');
+                }
+
+                // Connected
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connected');
+                return 'Logged in...';
+            })
+            .catch(error => {
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Disconnected');
+                throw error;
             });
+    }
+
+    // Legacy UniFi Protect listens on its own port, unless another port has been set. The controller is only taken for a
+    // legacy one when the login there answers, otherwise it fails with the error of UniFi OS.
+    _tryLoginLegacy(host, port, username, password, unifiOsError) {
+        const legacyPort = (!port || String(port) === '443') ? UfvConstants.LEGACY_PROTECT_PORT : port;
+        Homey.app.debug(`No UniFi OS found, trying legacy UniFi Protect on port ${legacyPort}...`);
+
+        this.webclient.setControllerType(UfvConstants.CONTROLLER_TYPE_LEGACY);
+        this.webclient.setServerPort(legacyPort);
+
+        return this._loginLegacy(host, legacyPort, username, password)
+            .catch(error => {
+                // Any answer but not found comes from legacy UniFi Protect, like a wrong password
+                if (error.statusCode && error.statusCode !== 404) {
+                    throw error;
+                }
+
+                this.webclient.setControllerType(UfvConstants.CONTROLLER_TYPE_UNIFI_OS);
+                this.webclient.setServerPort(port);
+                throw unifiOsError || new Error(`No UniFi OS or legacy UniFi Protect found on ${host}.`);
+            });
+    }
+
+    // Legacy controllers return a token in the Authorization header, which is sent as bearer token.
+    _loginLegacy(host, port, username, password) {
+        Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connecting');
+
+        if (!host) return Promise.reject(new Error('Invalid host.'));
+        if (!username) return Promise.reject(new Error('Invalid username.'));
+        if (!password) return Promise.reject(new Error('Invalid password.'));
+
+        return this.webclient.send({
+            method: 'POST',
+            path: '/api/auth',
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                Accept: 'application/json',
+            },
+            body: JSON.stringify({ username, password }),
+            timeout: UfvConstants.HTTP_LOGIN_TIMEOUT,
+        })
+            .then(response => {
+                if (response.statusCode !== 200) {
+                    throw new ProtectHttpError(`Request failed: /api/auth (status code: ${response.statusCode})`, {
+                        statusCode: response.statusCode,
+                        method: 'POST',
+                        endpoint: '/api/auth',
+                    });
+                }
+
+                if (!response.headers['authorization']) {
+                    throw new Error('Invalid authorization header.');
+                }
+                this.webclient.setAuthorizationToken(response.headers['authorization']);
 
-            req.on('error', error => {
+                // Connected
+                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connected');
+                return 'Logged in...';
+            })
+            .catch(error => {
                 Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Disconnected');
-                return reject(error);
+                throw error;
             });
-            req.end();
-        });
     }
 
-    login(host, port, username, password) {
-        Homey.app.debug('Logging in...');
-        UFV_API_ENDPOINT = '/proxy/protect/api';
+    // Log in again with the auth provider of the last login, used when the session has expired.
+    relogin() {
+        if (!this._authProvider) {
+            return Promise.reject(new Error('Not logged in.'));
+        }
 
-        this.webclient.setServerHost(host);
-        this.webclient.setServerPort(port);
+        Homey.app.debug('Session expired, logging in again...');
+        return this._authProvider.login(this, this.webclient.getServerHost(), this.webclient.getServerPort());
+    }
 
-        return new Promise((resolve, reject) => {
+    // Merge an update of the realtime update events API into the bootstrap, so it stays current. Protect events are not
+    // part of the bootstrap.
+    applyUpdate(action, payload) {
+        if (!this._bootstrap) {
+            return;
+        }
 
-        this.getCSRFToken(host, port).then(response => {
+        if (action.newUpdateId) {
+            this._lastUpdateId = action.newUpdateId;
+        }
+
+        if (!payload || typeof payload !== 'object' || Buffer.isBuffer(payload)) {
+            payload = null;
+        }
 
-                Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connecting');
+        if (action.modelKey === 'nvr') {
+            if (action.action === 'update' && payload && this._bootstrap.nvr) {
+                mergeUpdate(this._bootstrap.nvr, payload);
+            }
+            return;
+        }
 
-                if (!host) reject(new Error('Invalid host.'));
-                if (!username) reject(new Error('Invalid username.'));
-                if (!password) reject(new Error('Invalid password.'));
+        // The bootstrap has a list of every other model, like cameras for camera
+        const models = this._bootstrap[`${action.modelKey}s`];
+        if (!Array.isArray(models)) {
+            return;
+        }
 
-                const credentials = JSON.stringify({
-                    username,
-                    password,
-                });
+        const index = models.findIndex(model => model.id === action.id);
+        switch (action.action) {
+            case 'add':
+                if (index === -1 && payload) models.push(payload);
+                break;
 
-                const options = {
-                    method: 'POST',
-                    hostname: host,
-                    port: port,
-                    path: '/api/auth/login',
-                    headers: {
-                        'Content-Type': 'application/json; charset=utf-8',
-                        Accept: 'application/json',
-                        'x-csrf-token': this.webclient.getCSRFToken(),
-                    },
-                    maxRedirects: 20,
-                    rejectUnauthorized: false,
-                    timeout: 2000,
-                    keepAlive: true,
-                };
-
-                const req = https.request(options, res => {
-                    if (res.statusCode !== 200) {
-                        return reject(new Error(`Request failed: ${options.path} (status code: ${res.statusCode}) (creds: ${credentials}`));
-                    }
-                    const body = [];
-
-                    res.on('data', chunk => body.push(chunk));
-                    res.on('end', () => {
-                        const json = JSON.parse(body);
-
-                        // Obtain authorization header
-                        res.rawHeaders.forEach((item, index) => {
-                            if (item.toLowerCase() === 'set-cookie') {
-                                this.webclient.setCookieToken(res.rawHeaders[index + 1]);
-                            }
-
-                            // X-CSRF-Token
-                            if (item.toLowerCase() === 'x-csrf-token') {
-                                this.webclient.setCSRFToken(res.rawHeaders[index + 1]);
-                            }
-                        });
-
-                        if (this.webclient.getCookieToken() === null) {
-                            reject(new Error('Invalid set-cookie header.'));
-                            return;
-                        }
+            case 'update':
+                if (index !== -1 && payload) mergeUpdate(models[index], payload);
+                break;
 
-                        // Connected
-                        Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Connected');
-                        //
-                        return resolve('Logged in...');
-                    });
-                });
+            case 'remove':
+                if (index !== -1) models.splice(index, 1);
+                break;
 
-                req.on('error', error => {
-                    Homey.ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_STATUS, 'Disconnected');
-                    return reject(error);
-                });
+            default:
+                break;
+        }
+    }
 
-                req.write(credentials);
-                req.end();
+    // Return the NVR and devices of the bootstrap, as kept current by the realtime updates, without users and keys.
+    getDeviceState() {
+        if (!this._bootstrap) {
+            return null;
+        }
 
-        }).catch(error => reject(error));
-        });
+        const state = {
+            lastUpdateId: this._lastUpdateId,
+        };
+        UfvConstants.REALTIME_MODEL_KEYS
+            .filter(modelKey => modelKey !== 'event')
+            .forEach(modelKey => {
+                const key = modelKey === 'nvr' ? 'nvr' : `${modelKey}s`;
+                if (typeof this._bootstrap[key] !== 'undefined') {
+                    state[key] = this._bootstrap[key];
+                }
+            });
+        return state;
     }
 
     getBootstrapInfo() {
@@ -209,15 +414,19 @@ class ProtectAPI {
                             this._lastUpdateId = result.lastUpdateId;
                         }
 
-                        // lastUpdateId is changed, please reconnect to websocket
-                        this.ws.reconnectUpdatesListener();
-
                         return resolve(result);
                     } else {
                         return reject(new Error('Error obtaining bootstrap info.'));
                     }
                 })
-                .catch(error => reject(error));
+                .catch(error => {
+                    // Controllers that only accept API keys on the integration API refuse the bootstrap
+                    if (this._authProvider && this._authProvider.getType() === UfvConstants.AUTH_TYPE_API_KEY
+                        && (error.statusCode === 401 || error.statusCode === 403)) {
+                        return reject(new Error('The controller only accepts the API key for its integration API, log in with a local user instead.'));
+                    }
+                    return reject(error);
+                });
         });
     }
 
@@ -301,26 +510,110 @@ class ProtectAPI {
         });
     }
 
-    snapshot(id, widthInPixels = 1920) {
+    getLights() {
         return new Promise((resolve, reject) => {
-            if (!id) reject(new Error('Invalid camera identifier.'));
+            this.webclient.get('lights')
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining lights.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
 
-            const height = this.getAspectRatioHeight(id, widthInPixels);
+    getSensors() {
+        return new Promise((resolve, reject) => {
+            this.webclient.get('sensors')
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining sensors.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
 
-            const params = {
-                accessKey: this.webclient.getApiKey(),
-                w: widthInPixels,
-                h: height,
-                force: true,
-            };
+    getChimes() {
+        return new Promise((resolve, reject) => {
+            this.webclient.get('chimes')
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining chimes.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    getViewers() {
+        return new Promise((resolve, reject) => {
+            this.webclient.get('viewers')
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining viewers.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    getLiveviews() {
+        return new Promise((resolve, reject) => {
+            this.webclient.get('liveviews')
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining liveviews.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    snapshot(id, widthInPixels = 1920, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!id) return reject(new Error('Invalid camera identifier.'));
 
-            let snapshot;
-            return this.webclient.download(`cameras/${id}/snapshot`, params)
+            return this.webclient.download(`cameras/${id}/snapshot`, this._getSnapshotParams(id, widthInPixels), options)
                 .then(buffer => resolve(buffer))
                 .catch(error => reject(new Error(`Error obtaining snapshot buffer: ${error}`)));
         });
     }
 
+    // Resolve with a stream of the snapshot, to pipe into an image without keeping it in memory.
+    streamSnapshot(id, widthInPixels = 1920, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!id) return reject(new Error('Invalid camera identifier.'));
+
+            return this.webclient.stream(`cameras/${id}/snapshot`, this._getSnapshotParams(id, widthInPixels), options)
+                .then(stream => resolve(stream))
+                .catch(error => reject(new Error(`Error obtaining snapshot stream: ${error}`)));
+        });
+    }
+
+    _getSnapshotParams(id, widthInPixels) {
+        return {
+            w: widthInPixels,
+            h: this.getAspectRatioHeight(id, widthInPixels),
+            force: true,
+        };
+    }
+
     createSnapshotUrl(camera, widthInPixels = 1920) {
         return new Promise((resolve, reject) => {
             if (!this.webclient.getServerHost()) reject(new Error('Invalid host.'));
@@ -334,59 +627,492 @@ class ProtectAPI {
                 force: true,
                 ts: Date.now()
             };
-            return resolve(`https://${this.webclient.getServerHost()}:${this.webclient.getServerPort()}${UFV_API_ENDPOINT}/cameras/${camera.id}/snapshot${this.webclient.toQueryString(params)}`);
+            return resolve(`https://${this.webclient.getServerHost()}:${this.webclient.getServerPort()}${this.webclient.getApiEndpoint()}/cameras/${camera.id}/snapshot${this.webclient.toQueryString(params)}`);
+        });
+    }
+
+    getEvent(eventId) {
+        return new Promise((resolve, reject) => {
+            if (!eventId) return reject(new Error('Invalid event identifier.'));
+
+            this.webclient.get(`events/${eventId}`)
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining event.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    // Resolve with a stream of the exported clip, which can be large, to write to a file as it comes in.
+    exportClip(camera, start, end, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!camera) return reject(new Error('Invalid camera'));
+            if (!start || !end || end <= start) return reject(new Error('Invalid clip time window.'));
+
+            const params = {
+                camera: camera.id,
+                channel: 0,
+                start,
+                end,
+            };
+
+            return this.webclient.stream('video/export', params, Object.assign({ timeout: UfvConstants.HTTP_DOWNLOAD_TIMEOUT }, options))
+                .then(stream => resolve(stream))
+                .catch(error => reject(new Error(`Error exporting clip: ${error}`)));
         });
     }
 
     setRecordingMode(camera, mode = 'never') {
+        return this.patchCameraSettings(camera, { recordingMode: mode })
+            .then(() => 'Recording mode successfully set.');
+    }
+
+    setMicVolume(camera, volume = 100) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                micVolume: Math.round(volume),
+            };
+            return this.webclient.patch(`cameras/${camera.id}`, params)
+                .then(() => resolve('Mic volume successfully set.'))
+                .catch(error => reject(new Error(`Error setting mic volume: ${error}`)));
+        });
+    }
+
+    // Change hardware settings of a camera, like { irMode: 'auto', hdr: true }. Every setting is checked against what
+    // the camera reports it supports before anything is changed.
+    patchCameraSettings(camera, settings) {
+        return new Promise((resolve, reject) => {
+            if (!camera) return reject(new Error('Invalid camera'));
+            if (!settings || Object.keys(settings).length === 0) return reject(new Error('No camera settings to change.'));
+
+            const unknown = Object.keys(settings).find(key => !CAMERA_SETTINGS[key]);
+            if (unknown) return reject(new Error(`Unknown camera setting ${unknown}.`));
+
+            return this.findCameraById(camera.id)
+                .then(cameraInfo => {
+                    const params = {};
+
+                    Object.keys(settings).forEach(key => {
+                        const setting = CAMERA_SETTINGS[key];
+                        const value = settings[key];
+
+                        if (!setting.isSupported(cameraInfo)) {
+                            throw new Error(`The camera does not support ${key}.`);
+                        }
+                        if (!setting.isValid(value, cameraInfo)) {
+                            throw new Error(`Invalid value ${JSON.stringify(value)} for ${key}.`);
+                        }
+                        mergeUpdate(params, setting.toPatch(value));
+                    });
+
+                    return this.webclient.patch(`cameras/${camera.id}`, params);
+                })
+                .then(() => resolve('Camera settings successfully changed.'))
+                .catch(error => reject(new Error(`Error changing camera settings: ${error.message || error}`)));
+        });
+    }
+
+    // Turn zones of a camera on and off by name, like [{ type: 'motionZones', name: 'Driveway', enabled: false }]. A zone
+    // that is turned off stays on the camera without sensitivity or object types, which are restored from the saved zone
+    // settings when it is turned on again. Resolves with the saved zone settings after the change, to keep for next time.
+    setZonesEnabled(camera, changes, zoneSettings = {}) {
+        return new Promise((resolve, reject) => {
+            if (!camera) return reject(new Error('Invalid camera'));
+
+            const unknown = changes.find(change => !UfvConstants.CAMERA_ZONE_TYPES.includes(change.type));
+            if (unknown) return reject(new Error(`Unknown zone type ${unknown.type}.`));
+
+            return this.findCameraById(camera.id)
+                .then(cameraInfo => {
+                    const saved = Object.assign({}, zoneSettings);
+                    const params = {};
+
+                    changes.forEach(change => {
+                        const type = CAMERA_ZONES[change.type];
+                        const zones = params[change.type] || cameraInfo[change.type] || [];
+                        const zone = zones.find(item => item.name === change.name);
+                        if (!zone) {
+                            throw new Error(`Unknown zone ${change.name}.`);
+                        }
+
+                        const key = `${change.type}:${zone.id}`;
+                        let settings = null;
+                        if (!change.enabled && type.isEnabled(zone)) {
+                            saved[key] = type.read(zone);
+                            settings = type.disabled();
+                        } else if (change.enabled && !type.isEnabled(zone)) {
+                            settings = saved[key] || type.defaults(cameraInfo);
+                            delete saved[key];
+                        }
+
+                        if (settings) {
+                            params[change.type] = zones.map(item => (item === zone ? Object.assign({}, zone, settings) : item));
+                        }
+                    });
+
+                    if (Object.keys(params).length === 0) {
+                        return resolve(saved);
+                    }
+                    return this.webclient.patch(`cameras/${camera.id}`, params)
+                        .then(() => resolve(saved));
+                })
+                .catch(error => reject(new Error(`Error changing zones: ${error.message || error}`)));
+        });
+    }
+
+    enablePrivacyMode(camera) {
         return new Promise((resolve, reject) => {
             this.findCameraById(camera.id)
                 .then(cameraInfo => {
-                    const recordingSettings = cameraInfo.recordingSettings;
-                    const channels = cameraInfo.channels;
-                    const smartDetectSettings = cameraInfo.smartDetectSettings;
+                    // Everything that is changed, so it can be restored exactly as it was
+                    const previousSettings = {
+                        privacyZones: cameraInfo.privacyZones,
+                        isMicEnabled: cameraInfo.isMicEnabled,
+                        micVolume: cameraInfo.micVolume,
+                        recordingSettings: cameraInfo.recordingSettings,
+                    };
 
-                    recordingSettings.mode = mode;
+                    const privacyZones = cameraInfo.privacyZones || [];
+                    const privacyZone = {
+                        id: privacyZones.reduce((id, zone) => Math.max(id, zone.id + 1), 0),
+                        name: UfvConstants.PRIVACY_ZONE_NAME,
+                        color: '#85BCEC',
+                        // Full frame, points are relative to the width and height of the image
+                        points: [[0, 0], [1, 0], [1, 1], [0, 1]],
+                    };
 
                     const params = {
-                        channels,
-                        recordingSettings,
-                        smartDetectSettings,
+                        privacyZones: privacyZones.concat([privacyZone]),
+                        isMicEnabled: false,
+                        micVolume: 0,
+                        recordingSettings: Object.assign({}, cameraInfo.recordingSettings, { mode: 'never' }),
                     };
 
                     return this.webclient.patch(`cameras/${camera.id}`, params)
-                        .then(() => resolve('Recording mode successfully set.'))
-                        .catch(error => reject(new Error(`Error setting recording mode: ${error}`)));
+                        .then(() => resolve(previousSettings))
+                        .catch(error => reject(new Error(`Error enabling privacy mode: ${error}`)));
                 })
-                .catch(error => reject(new Error(`Error setting recording mode: ${error}`)));
+                .catch(error => reject(new Error(`Error enabling privacy mode: ${error}`)));
         });
     }
 
-    setMicVolume(camera, volume = 100) {
+    disablePrivacyMode(camera, previousSettings) {
         return new Promise((resolve, reject) => {
+            if (!previousSettings) return reject(new Error('Invalid previous camera settings.'));
+
             const params = {
-                micVolume: volume,
+                privacyZones: previousSettings.privacyZones,
+                isMicEnabled: previousSettings.isMicEnabled,
+                micVolume: previousSettings.micVolume,
+                recordingSettings: previousSettings.recordingSettings,
             };
+
             return this.webclient.patch(`cameras/${camera.id}`, params)
-                .then(() => resolve('Mic volume successfully set.'))
-                .catch(error => reject(new Error(`Error setting mic volume: ${error}`)));
+                .then(() => resolve('Privacy mode successfully disabled.'))
+                .catch(error => reject(new Error(`Error disabling privacy mode: ${error}`)));
         });
     }
 
-    getMotionEvents() {
+    setLcdMessage(camera, type, text = '', duration = 0) {
         return new Promise((resolve, reject) => {
-            let start = new Date();
+            if (!UfvConstants.LCD_MESSAGE_TYPES.includes(type)) return reject(new Error('Invalid message type.'));
+            if (type === 'CUSTOM_MESSAGE' && !text) return reject(new Error('Invalid message text.'));
+            if (text.length > UfvConstants.LCD_MESSAGE_MAX_LENGTH) return reject(new Error(`Message text is longer than ${UfvConstants.LCD_MESSAGE_MAX_LENGTH} characters.`));
+
+            const lcdMessage = {
+                type,
+                // A duration of 0 minutes keeps the message until it is cleared
+                resetAt: duration > 0 ? Date.now() + (duration * 60 * 1000) : null,
+            };
+            if (type === 'CUSTOM_MESSAGE') {
+                lcdMessage.text = text;
+            }
+
+            const params = {
+                lcdMessage,
+            };
+            return this.webclient.patch(`cameras/${camera.id}`, params)
+                .then(() => resolve('Doorbell message successfully set.'))
+                .catch(error => reject(new Error(`Error setting doorbell message: ${error}`)));
+        });
+    }
+
+    clearLcdMessage(camera) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                lcdMessage: {
+                    resetAt: 0,
+                },
+            };
+            return this.webclient.patch(`cameras/${camera.id}`, params)
+                .then(() => resolve('Doorbell message successfully cleared.'))
+                .catch(error => reject(new Error(`Error clearing doorbell message: ${error}`)));
+        });
+    }
+
+    // Return the URL of the talkback websocket of a camera, it is only valid for a short while.
+    getTalkbackUrl(camera) {
+        return new Promise((resolve, reject) => {
+            this.webclient.get('ws/talkback', { camera: camera.id })
+                .then(response => {
+                    const result = JSON.parse(response);
+
+                    if (result && result.url) {
+                        return resolve(result.url);
+                    } else {
+                        return reject(new Error('Error obtaining talkback URL.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    // Play a WAV or MP3 file through the speaker of a camera, resolves when it has been played. A camera plays one file
+    // at a time.
+    playTalkback(camera, audio) {
+        return new Promise((resolve, reject) => {
+            if (!camera) return reject(new Error('Invalid camera'));
+            if (this._talkbackCameras.has(camera.id)) return reject(new Error('The camera is already playing audio.'));
+
+            // The talkback settings are kept current in the bootstrap by the realtime updates
+            const cameraInfo = this._bootstrap && this._bootstrap.cameras.find(item => item.id === camera.id);
+            if (!cameraInfo) return reject(new Error('Unknown camera.'));
+            if (!cameraInfo.featureFlags || !cameraInfo.featureFlags.hasSpeaker) return reject(new Error('The camera has no speaker.'));
+
+            let talkback;
+            try {
+                talkback = ProtectTalkback.encode(audio, cameraInfo.talkbackSettings);
+            } catch (error) {
+                return reject(new Error(`Error playing audio: ${error.message}`));
+            }
+
+            this._talkbackCameras.add(camera.id);
+            return this.getTalkbackUrl(camera)
+                .then(url => new ProtectTalkback(url, this.getAgent()).play(talkback.frames, talkback.frameDuration))
+                .then(() => {
+                    this._talkbackCameras.delete(camera.id);
+                    resolve('Audio successfully played.');
+                })
+                .catch(error => {
+                    this._talkbackCameras.delete(camera.id);
+                    reject(new Error(`Error playing audio: ${error.message || error}`));
+                });
+        });
+    }
+
+    getPtzCameraInfo(camera) {
+        return new Promise((resolve, reject) => {
+            this.findCameraById(camera.id)
+                .then(cameraInfo => {
+                    if (!cameraInfo.featureFlags || !cameraInfo.featureFlags.isPtz) {
+                        return reject(new Error('Camera does not support PTZ.'));
+                    }
+                    return resolve(cameraInfo);
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    // Resolve with the presets of a PTZ camera, given the camera info findCameraById resolves with.
+    getPtzPresets(cameraInfo) {
+        return new Promise((resolve, reject) => {
+            if (!cameraInfo.featureFlags || !cameraInfo.featureFlags.isPtz) {
+                return reject(new Error('Camera does not support PTZ.'));
+            }
+
+            return this.webclient.get(`cameras/${cameraInfo.id}/ptz/preset`)
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining PTZ presets.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    getPtzPatrols(camera) {
+        return new Promise((resolve, reject) => {
+            this.getPtzCameraInfo(camera)
+                .then(cameraInfo => this.webclient.get(`cameras/${cameraInfo.id}/ptz/patrol`))
+                .then(response => {
+                    const result = JSON.parse(response);
+                    if (result) {
+                        return resolve(result);
+                    } else {
+                        return reject(new Error('Error obtaining PTZ patrols.'));
+                    }
+                })
+                .catch(error => reject(error));
+        });
+    }
+
+    ptzGotoPreset(camera, slot = UfvConstants.PTZ_HOME_SLOT) {
+        return new Promise((resolve, reject) => {
+            this.getPtzCameraInfo(camera)
+                .then(() => this.webclient.post(`cameras/${camera.id}/ptz/goto/${slot}`))
+                .then(() => resolve('PTZ preset successfully recalled.'))
+                .catch(error => reject(new Error(`Error recalling PTZ preset: ${error}`)));
+        });
+    }
+
+    ptzStartPatrol(camera, slot) {
+        return new Promise((resolve, reject) => {
+            if (slot === null || typeof slot === 'undefined') return reject(new Error('Invalid patrol'));
+
+            return this.getPtzCameraInfo(camera)
+                .then(() => this.webclient.post(`cameras/${camera.id}/ptz/patrol/start/${slot}`))
+                .then(() => resolve('PTZ patrol successfully started.'))
+                .catch(error => reject(new Error(`Error starting PTZ patrol: ${error}`)));
+        });
+    }
+
+    ptzStopPatrol(camera) {
+        return new Promise((resolve, reject) => {
+            this.getPtzCameraInfo(camera)
+                .then(() => this.webclient.post(`cameras/${camera.id}/ptz/patrol/stop`))
+                .then(() => resolve('PTZ patrol successfully stopped.'))
+                .catch(error => reject(new Error(`Error stopping PTZ patrol: ${error}`)));
+        });
+    }
+
+    ptzMove(camera, pan = 0, tilt = 0, speed = UfvConstants.PTZ_DEFAULT_SPEED) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                type: 'relative',
+                payload: {
+                    panPos: pan,
+                    tiltPos: tilt,
+                    panSpeed: speed,
+                    tiltSpeed: speed,
+                    scale: 0,
+                },
+            };
+            this.getPtzCameraInfo(camera)
+                .then(() => this.webclient.post(`cameras/${camera.id}/move`, params))
+                .then(() => resolve('PTZ camera successfully moved.'))
+                .catch(error => reject(new Error(`Error moving PTZ camera: ${error}`)));
+        });
+    }
+
+    ptzZoom(camera, zoom = 0, speed = UfvConstants.PTZ_DEFAULT_SPEED) {
+        return new Promise((resolve, reject) => {
+            this.getPtzCameraInfo(camera)
+                .then(cameraInfo => {
+                    // Zoom is given as a fraction of the zoom steps the camera supports
+                    const zoomFlags = cameraInfo.featureFlags.zoom;
+                    const maxZoom = zoomFlags && zoomFlags.steps && zoomFlags.steps.max ? zoomFlags.steps.max : 100;
+
+                    const params = {
+                        type: 'zoom',
+                        payload: {
+                            zoomPos: Math.round(zoom * maxZoom),
+                            speed,
+                        },
+                    };
+                    return this.webclient.post(`cameras/${camera.id}/move`, params);
+                })
+                .then(() => resolve('PTZ camera successfully zoomed.'))
+                .catch(error => reject(new Error(`Error zooming PTZ camera: ${error}`)));
+        });
+    }
+
+    setLightOn(light, isOn = true) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                lightOnSettings: {
+                    isLedForceOn: isOn,
+                },
+            };
+            return this.webclient.patch(`lights/${light.id}`, params)
+                .then(() => resolve('Light successfully switched.'))
+                .catch(error => reject(new Error(`Error switching light: ${error}`)));
+        });
+    }
+
+    setLightLevel(light, ledLevel = 6) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                lightDeviceSettings: {
+                    ledLevel,
+                },
+            };
+            return this.webclient.patch(`lights/${light.id}`, params)
+                .then(() => resolve('Light level successfully set.'))
+                .catch(error => reject(new Error(`Error setting light level: ${error}`)));
+        });
+    }
+
+    setLightPirSensitivity(light, pirSensitivity = 50) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                lightDeviceSettings: {
+                    pirSensitivity,
+                },
+            };
+            return this.webclient.patch(`lights/${light.id}`, params)
+                .then(() => resolve('Light motion sensitivity successfully set.'))
+                .catch(error => reject(new Error(`Error setting light motion sensitivity: ${error}`)));
+        });
+    }
+
+    setChimeVolume(chime, volume = 100) {
+        return new Promise((resolve, reject) => {
+            const params = {
+                volume,
+            };
+            return this.webclient.patch(`chimes/${chime.id}`, params)
+                .then(() => resolve('Chime volume successfully set.'))
+                .catch(error => reject(new Error(`Error setting chime volume: ${error}`)));
+        });
+    }
+
+    playChime(chime) {
+        return new Promise((resolve, reject) => {
+            return this.webclient.post(`chimes/${chime.id}/play-speaker`)
+                .then(() => resolve('Chime successfully played.'))
+                .catch(error => reject(new Error(`Error playing chime: ${error}`)));
+        });
+    }
+
+    setViewerLiveview(viewer, liveviewId) {
+        return new Promise((resolve, reject) => {
+            if (!liveviewId) return reject(new Error('Invalid liveview identifier.'));
+
+            const params = {
+                liveview: liveviewId,
+            };
+            return this.webclient.patch(`viewers/${viewer.id}`, params)
+                .then(() => resolve('Viewer liveview successfully set.'))
+                .catch(error => reject(new Error(`Error setting viewer liveview: ${error}`)));
+        });
+    }
+
+    getMotionEvents(cameraId = null, startTime = null) {
+        return new Promise((resolve, reject) => {
+            const start = new Date();
             start.setHours(0, 0, 0, 0);
-            let end = new Date();
+            const end = new Date();
             end.setHours(23, 59, 59, 999);
 
-            let startTime = (this._lastMotionAt == null ? start.getTime() : this._lastMotionAt);
+            const params = {
+                start: startTime === null ? start.getTime() : startTime,
+                end: end.getTime(),
+                type: 'motion',
+            };
+            if (cameraId) {
+                params.cameras = cameraId;
+            }
 
-            this.webclient.get(`events?start=${startTime}&end=${end.getTime()}&type=motion`)
+            this.webclient.get('events', params)
                 .then(response => {
-                    start = null;
-                    end = null;
-                    startTime = null;
                     const result = JSON.parse(response);
                     if (result) {
                         return resolve(result);
@@ -398,18 +1124,39 @@ class ProtectAPI {
         });
     }
 
-    getAspectRatioHeight(cameraId, widthInPixels) {
-        this._bootstrap.cameras.forEach(camera => {
-            if (camera.id === cameraId) {
-                if (camera.type === 'UVC G4 Doorbell') {
-                    return widthInPixels / 4 * 3;
-                } else {
-                    return widthInPixels / 16 * 9;
-                }
-            }
+    getEventThumbnail(eventId, widthInPixels = 640) {
+        return new Promise((resolve, reject) => {
+            if (!eventId) return reject(new Error('Invalid event identifier.'));
+
+            const params = {
+                w: widthInPixels,
+            };
+
+            return this.webclient.download(`events/${eventId}/thumbnail`, params)
+                .then(buffer => resolve(buffer))
+                .catch(error => reject(new Error(`Error obtaining thumbnail buffer: ${error}`)));
+        });
+    }
+
+    getEventHeatmap(eventId) {
+        return new Promise((resolve, reject) => {
+            if (!eventId) return reject(new Error('Invalid event identifier.'));
+
+            return this.webclient.download(`events/${eventId}/heatmap`)
+                .then(buffer => resolve(buffer))
+                .catch(error => reject(new Error(`Error obtaining heatmap buffer: ${error}`)));
         });
     }
 
+    getAspectRatioHeight(cameraId, widthInPixels) {
+        const camera = this._bootstrap.cameras.find(camera => camera.id === cameraId);
+
+        if (camera && camera.type === 'UVC G4 Doorbell') {
+            return Math.round(widthInPixels / 4 * 3);
+        }
+        return Math.round(widthInPixels / 16 * 9);
+    }
+
     getStreamUrl(camera) {
         return new Promise((resolve, reject) => {
             let rtspAlias = null;
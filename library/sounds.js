@@ -0,0 +1,101 @@
+'use strict';
+
+const Homey = require('homey');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { getAudioType, decodeAudio } = require('./audio');
+const UfvConstants = require('./constants');
+
+const mkdir = util.promisify(fs.mkdir);
+const readdir = util.promisify(fs.readdir);
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
+const unlink = util.promisify(fs.unlink);
+const writeFile = util.promisify(fs.writeFile);
+
+// Sound ids end up in file paths, so only allow plain identifiers
+const IDENTIFIER_PATTERN = /^[0-9A-Za-z_-]+$/;
+
+const EXTENSIONS = ['.wav', '.mp3'];
+
+// Sounds uploaded on the settings page, to play through the speaker of a camera. The name of a sound is its id.
+class ProtectSoundLibrary {
+
+    _getSoundFile(soundId, extension) {
+        if (!IDENTIFIER_PATTERN.test(String(soundId))) {
+            throw new Error('Invalid sound identifier.');
+        }
+
+        return path.join(UfvConstants.SOUND_FOLDER, `${soundId}${extension}`);
+    }
+
+    // Return the sounds, sorted by name.
+    async list() {
+        const files = await readdir(UfvConstants.SOUND_FOLDER)
+            .catch(error => {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            });
+
+        return files
+            .filter(file => EXTENSIONS.includes(path.extname(file)))
+            .map(file => ({
+                id: path.basename(file, path.extname(file)),
+                type: path.extname(file).slice(1),
+            }))
+            .filter(sound => IDENTIFIER_PATTERN.test(sound.id))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    async get(soundId) {
+        const sound = (await this.list()).find(item => item.id === soundId);
+        if (!sound) {
+            throw new Error(`Unknown sound ${soundId}.`);
+        }
+
+        return readFile(this._getSoundFile(sound.id, `.${sound.type}`));
+    }
+
+    // Store a WAV or MP3 file, replacing a sound with the same name. Files that can't be played are refused.
+    async store(name, buffer) {
+        const soundId = String(name).trim().replace(/[^0-9A-Za-z_-]+/g, '-');
+        if (!IDENTIFIER_PATTERN.test(soundId)) {
+            throw new Error('Invalid sound name.');
+        }
+        if (buffer.length > UfvConstants.TALKBACK_MAX_FILE_SIZE) {
+            throw new Error('The audio file is too large.');
+        }
+
+        decodeAudio(buffer);
+        const extension = `.${getAudioType(buffer)}`;
+
+        await mkdir(UfvConstants.SOUND_FOLDER)
+            .catch(error => {
+                if (error.code !== 'EEXIST') throw error;
+            });
+
+        await this.remove(soundId)
+            .catch(() => false);
+        await writeFile(this._getSoundFile(soundId, extension), buffer);
+
+        Homey.app.debug(`Stored sound ${soundId}.`);
+        return soundId;
+    }
+
+    async remove(soundId) {
+        const sound = (await this.list()).find(item => item.id === soundId);
+        if (!sound) {
+            throw new Error(`Unknown sound ${soundId}.`);
+        }
+
+        const file = this._getSoundFile(sound.id, `.${sound.type}`);
+        await stat(file);
+        await unlink(file);
+
+        Homey.app.debug(`Removed sound ${soundId}.`);
+        return true;
+    }
+}
+
+module.exports = ProtectSoundLibrary;
@@ -0,0 +1,85 @@
+'use strict';
+
+const Homey = require('homey');
+const WebSocket = require('ws');
+const AacEncoder = require('./aacencoder');
+const { decodeAudio, resample } = require('./audio');
+const UfvConstants = require('./constants');
+
+// Plays audio through the speaker of a camera. The audio is encoded to the format in the talkbackSettings of the
+// camera and sent as ADTS frames over the talkback websocket of the controller, at the pace it is played.
+class ProtectTalkback {
+
+    constructor(url, agent) {
+        this._url = url;
+        this._agent = agent;
+    }
+
+    // Encode a WAV or MP3 file to the frames the camera expects.
+    static encode(audio, talkbackSettings) {
+        if (!talkbackSettings || talkbackSettings.typeFmt !== 'aac') {
+            throw new Error(`The camera expects ${talkbackSettings ? talkbackSettings.typeFmt : 'no'} audio, only aac is supported.`);
+        }
+
+        const decoded = decodeAudio(audio);
+        const encoder = new AacEncoder(talkbackSettings.samplingRate, UfvConstants.TALKBACK_BITRATE);
+        const samples = resample(decoded.samples, decoded.sampleRate, encoder.getSampleRate());
+
+        return {
+            frames: encoder.encode(samples),
+            frameDuration: encoder.getFrameDuration(),
+        };
+    }
+
+    // Send the frames and resolve when they have been played.
+    play(frames, frameDuration) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this._url, { agent: this._agent });
+            let timer = null;
+            let done = false;
+
+            const finish = error => {
+                if (done) return;
+                done = true;
+                clearTimeout(timer);
+                ws.terminate();
+
+                if (error) return reject(error);
+                return resolve(true);
+            };
+
+            ws.on('open', () => {
+                const start = Date.now();
+                let index = 0;
+
+                // Stay a few frames ahead, so the camera never runs out of audio
+                const sendFrames = () => {
+                    const elapsed = Date.now() - start;
+
+                    while (index < frames.length && (index - UfvConstants.TALKBACK_BUFFER_FRAMES) * frameDuration <= elapsed) {
+                        ws.send(frames[index++]);
+                    }
+
+                    if (index < frames.length) {
+                        timer = setTimeout(sendFrames, frameDuration);
+                        return;
+                    }
+
+                    // Close once the last frame has been played
+                    timer = setTimeout(() => finish(), Math.max(0, (frames.length * frameDuration) - elapsed));
+                };
+                sendFrames();
+            });
+
+            ws.on('close', () => {
+                finish(done ? null : new Error('The talkback connection was closed by the camera.'));
+            });
+            ws.on('error', error => {
+                Homey.app.debug(`Talkback error: ${error}`);
+                finish(error);
+            });
+        });
+    }
+}
+
+module.exports = ProtectTalkback;
@@ -0,0 +1,148 @@
+'use strict';
+
+const Homey = require('homey');
+const https = require('https');
+const tls = require('tls');
+const UfvConstants = require('./constants');
+
+// Decide whether the certificate of a controller is trusted, with a custom CA or by pinning the certificate the first
+// time the controller is connected to (trust on first use). Pinned certificates are saved in the ufp:certificates
+// setting, together with a changed certificate that has been rejected so the settings page can show a warning.
+class ProtectTrust {
+
+    constructor(controllerId) {
+        this._controllerId = controllerId || null;
+        this._mode = UfvConstants.TRUST_MODE_TOFU;
+        this._ca = null;
+        this._rejectedListener = null;
+        this._agent = this._createAgent();
+    }
+
+    // Set the trust settings of the controller, a custom CA is given as PEM.
+    setSettings(settings) {
+        this._mode = (settings && settings.mode) || UfvConstants.TRUST_MODE_TOFU;
+        this._ca = (settings && settings.ca) || null;
+    }
+
+    // Set the function that is called with the fingerprint of a changed certificate that has been rejected.
+    setRejectedListener(rejectedListener) {
+        this._rejectedListener = rejectedListener;
+    }
+
+    // Return the agent every request to the controller has to use.
+    getAgent() {
+        return this._agent;
+    }
+
+    // Close the sockets the agent keeps open, once the controller is no longer connected to.
+    destroy() {
+        this._agent.destroy();
+    }
+
+    _createAgent() {
+        const agent = new https.Agent({ keepAlive: true });
+
+        // Hand out the socket only after the certificate has been verified, so nothing is sent to an untrusted host
+        agent.createConnection = (options, callback) => {
+            const socket = tls.connect(Object.assign({}, options, this._getTlsOptions()));
+            let done = false;
+
+            const onError = error => {
+                if (done) return;
+                done = true;
+                callback(error);
+            };
+            socket.once('error', onError);
+
+            socket.once('secureConnect', () => {
+                if (done) return;
+
+                const error = this._verify(socket.getPeerCertificate());
+                if (error) {
+                    socket.destroy();
+                    return onError(error);
+                }
+
+                done = true;
+                socket.removeListener('error', onError);
+                callback(null, socket);
+            });
+        };
+
+        return agent;
+    }
+
+    _getTlsOptions() {
+        if (this._mode === UfvConstants.TRUST_MODE_CA && this._ca) {
+            // Controllers are connected to by IP address, which is usually not in their certificate
+            return {
+                ca: this._ca,
+                rejectUnauthorized: true,
+                checkServerIdentity: () => undefined,
+            };
+        }
+
+        // Self-signed certificates are checked against the pinned certificate instead
+        return {
+            rejectUnauthorized: false,
+        };
+    }
+
+    // Return an error when the certificate is not trusted.
+    _verify(certificate) {
+        if (this._mode === UfvConstants.TRUST_MODE_CA && this._ca) {
+            // Already verified against the CA while connecting
+            return null;
+        }
+
+        if (!certificate || !certificate.fingerprint256) {
+            return new Error('The NVR did not present a certificate.');
+        }
+
+        // Without a controller there is nothing to pin the certificate to
+        if (!this._controllerId) {
+            return null;
+        }
+
+        const certificates = Homey.ManagerSettings.get('ufp:certificates') || {};
+        const pinned = certificates[this._controllerId];
+
+        if (!pinned || !pinned.fingerprint) {
+            Homey.app.debug(`Pinning certificate ${certificate.fingerprint256} of NVR ${this._controllerId}.`);
+            certificates[this._controllerId] = {
+                fingerprint: certificate.fingerprint256,
+                subject: certificate.subject ? certificate.subject.CN : null,
+                validTo: certificate.valid_to,
+                pinnedAt: Date.now(),
+            };
+            Homey.ManagerSettings.set('ufp:certificates', certificates);
+            return null;
+        }
+
+        if (pinned.fingerprint === certificate.fingerprint256) {
+            return null;
+        }
+
+        // Remember the changed certificate once, so it can be trusted on the settings page
+        if (!pinned.rejected || pinned.rejected.fingerprint !== certificate.fingerprint256) {
+            Homey.app.debug(`Rejected changed certificate ${certificate.fingerprint256} of NVR ${this._controllerId}.`);
+            pinned.rejected = {
+                fingerprint: certificate.fingerprint256,
+                subject: certificate.subject ? certificate.subject.CN : null,
+                validTo: certificate.valid_to,
+                rejectedAt: Date.now(),
+            };
+            Homey.ManagerSettings.set('ufp:certificates', certificates);
+
+            if (this._rejectedListener) {
+                this._rejectedListener(certificate.fingerprint256);
+            }
+        }
+
+        const error = new Error('The certificate of the NVR has changed and is not trusted.');
+        error.code = 'CERT_CHANGED';
+        return error;
+    }
+}
+
+module.exports = ProtectTrust;
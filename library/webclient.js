@@ -1,8 +1,8 @@
 'use strict';
 
 const https = require('https');
-
-let UFV_API_ENDPOINT = '/proxy/protect/api';
+const { ProtectHttpError } = require('./errors');
+const UfvConstants = require('./constants');
 
 class ProtectWebClient {
 
@@ -12,6 +12,25 @@ class ProtectWebClient {
         this._cookieToken = null;
         this._apiKey = null;
         this._csrfToken = null;
+
+        // Legacy controllers authorize requests with a bearer token instead of a cookie
+        this._controllerType = UfvConstants.CONTROLLER_TYPE_UNIFI_OS;
+        this._authorizationToken = null;
+
+        // API key issued by the controller, sent with every request instead of a session
+        this._authApiKey = null;
+
+        // Agent that verifies the certificate of the controller
+        this._agent = null;
+
+        // Logs in again when the session has expired, and the login in progress that requests wait for
+        this._loginHandler = null;
+        this._loginRefresh = null;
+    }
+
+    // Set the function that logs in again and resolves when the new session is available.
+    setLoginHandler(loginHandler) {
+        this._loginHandler = loginHandler;
     }
 
     setServerHost(hostName) {
@@ -54,229 +73,263 @@ class ProtectWebClient {
         this._csrfToken = csrfToken;
     }
 
-    get(resource, params = {}, isBinary = false) {
-        return new Promise((resolve, reject) => {
-            if (!this._serverHost) reject(new Error('Invalid host.'));
-            if (!this._cookieToken) reject(new Error('Not logged in.'));
-
-            // eslint-disable-next-line no-param-reassign
-            params.accessKey = this._apiKey;
+    getControllerType() {
+        return this._controllerType;
+    }
 
-            const options = {
-                method: 'GET',
-                hostname: this._serverHost,
-                port: this._serverPort,
-                path: `${UFV_API_ENDPOINT}/${resource}${this.toQueryString(params)}`,
-                headers: {
-                    'Content-Type': 'application/json; charset=utf-8',
-                    Accept: isBinary ? '*/*' : 'application/json',
-                    'Cookie': this._cookieToken,
-                },
-                maxRedirects: 20,
-                rejectUnauthorized: false,
-                keepAlive: true,
-            };
+    setControllerType(controllerType) {
+        this._controllerType = controllerType;
+    }
 
-            const req = https.request(options, res => {
-                if (res.statusCode !== 200) {
-                    return reject(new Error(`Failed to GET url: ${options.path} (status code: ${res.statusCode})`));
-                }
-                const data = [];
+    isLegacy() {
+        return this._controllerType === UfvConstants.CONTROLLER_TYPE_LEGACY;
+    }
 
-                res.on('data', chunk => data.push(chunk));
-                res.on('end', () => {
-                    // Obtain authorization header
-                    res.rawHeaders.forEach((item, index) => {
-                        if (item.toLowerCase() === 'set-cookie') {
-                            this._cookieToken = res.rawHeaders[index + 1];
-                        }
-
-                        if (item.toLowerCase() === 'x-csrf-token') {
-                            //this._csrfToken = res.rawHeaders[index + 1];
-                        }
-                    });
-
-                    if (isBinary) {
-                        return resolve(Buffer.concat(data));
-                    } else {
-                        return resolve(data.join(''));
-                    }
-                });
-            });
+    setAuthorizationToken(authorizationToken) {
+        this._authorizationToken = authorizationToken;
+    }
 
-            req.on('error', error => reject(error));
-            req.end();
-        });
+    setAuthApiKey(authApiKey) {
+        this._authApiKey = authApiKey;
     }
 
-    put(resource, payload = {}) {
-        return new Promise((resolve, reject) => {
-            if (!this._serverHost) reject(new Error('Invalid host.'));
-            if (!this._cookieToken) reject(new Error('Not logged in.'));
+    setAgent(agent) {
+        this._agent = agent;
+    }
 
-            const body = JSON.stringify(payload);
+    // Return the path all API resources are below, which depends on the type of controller.
+    getApiEndpoint() {
+        return this.isLegacy() ? UfvConstants.LEGACY_API_ENDPOINT : UfvConstants.UNIFI_OS_API_ENDPOINT;
+    }
 
-            const params = {
-                apiKey: this._apiKey,
+    // Return the headers that authorize a request, changing requests on UniFi OS also need the CSRF token.
+    getAuthHeaders(includeCSRFToken = false) {
+        if (this._authApiKey) {
+            return {
+                'X-API-KEY': this._authApiKey,
             };
+        }
 
-            const options = {
-                host: this._serverHost,
-                port: this._serverPort,
-                path: `${UFV_API_ENDPOINT}/${resource}${this.toQueryString(params)}`,
-                method: 'PUT',
-                headers: {
-                    Accept: 'application/json',
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body),
-                    'Cookie': this._cookieToken,
-                    'x-csrf-token': this._csrfToken,
-                },
-                maxRedirects: 20,
-                rejectUnauthorized: false,
-                keepAlive: true,
+        if (this.isLegacy()) {
+            return {
+                Authorization: `Bearer ${this._authorizationToken}`,
             };
+        }
+
+        const headers = {
+            Cookie: this._cookieToken,
+        };
+        if (includeCSRFToken && this._csrfToken) {
+            headers['x-csrf-token'] = this._csrfToken;
+        }
+        return headers;
+    }
 
-            const req = https.request(options, res => {
-                if (res.statusCode !== 200) {
-                    return reject(new Error(`Failed to PUT to url: ${options.host}${options.path} (status code: ${res.statusCode})`));
+    // Send a request to the controller and resolve with the status code, headers and body of the response. The body is
+    // a string, a buffer when binary, or the response itself to read from when streamed. Only fails when there is no
+    // response, it times out or it is aborted with the given AbortSignal.
+    send(options) {
+        const method = options.method || 'GET';
+        // Errors carry the path without the query, which can hold the API key
+        const endpoint = String(options.path).split('?')[0];
+        const timeout = options.timeout || UfvConstants.HTTP_REQUEST_TIMEOUT;
+        const signal = options.signal || null;
+        const hasBody = typeof options.body !== 'undefined' && options.body !== null;
+
+        return new Promise((resolve, reject) => {
+            if (!this._serverHost) {
+                return reject(new ProtectHttpError('Invalid host.', { method, endpoint }));
+            }
+            if (signal && signal.aborted) {
+                return reject(new ProtectHttpError('Request aborted.', { method, endpoint, code: 'ABORT_ERR' }));
+            }
+
+            const headers = Object.assign({}, options.headers);
+            if (hasBody) {
+                headers['Content-Length'] = Buffer.byteLength(options.body);
+            }
+
+            const req = https.request({
+                method,
+                hostname: this._serverHost,
+                port: this._serverPort,
+                path: options.path,
+                headers,
+                agent: this._agent,
+            }, res => {
+                this._updateSession(res);
+
+                if (options.stream) {
+                    return resolve({ statusCode: res.statusCode, headers: res.headers, body: res });
                 }
-                res.setEncoding('utf8');
-                const data = [];
 
+                const data = [];
                 res.on('data', chunk => data.push(chunk));
+                res.on('error', error => reject(this._toHttpError(error, method, endpoint)));
                 res.on('end', () => {
-                    // Obtain authorization header
-                    res.rawHeaders.forEach((item, index) => {
-                        if (item.toLowerCase() === 'set-cookie') {
-                            this._cookieToken = res.rawHeaders[index + 1];
-                        }
-
-                        if (item.toLowerCase() === 'x-csrf-token') {
-                            //this._csrfToken = res.rawHeaders[index + 1];
-                        }
-                    });
-
-                    return resolve(data.join(''));
+                    const body = Buffer.concat(data);
+                    resolve({ statusCode: res.statusCode, headers: res.headers, body: options.binary ? body : body.toString('utf8') });
                 });
             });
 
-            req.on('error', error => reject(error));
-            req.write(body);
+            // The timeout restarts with every bit of data, so long downloads are fine as long as data keeps coming in
+            req.setTimeout(timeout * 1000, () => {
+                req.destroy(new ProtectHttpError(`Request timed out after ${timeout} seconds.`, { method, endpoint, code: 'ETIMEDOUT' }));
+            });
+
+            if (signal) {
+                const onAbort = () => req.destroy(new ProtectHttpError('Request aborted.', { method, endpoint, code: 'ABORT_ERR' }));
+                signal.addEventListener('abort', onAbort);
+                req.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            req.on('error', error => reject(this._toHttpError(error, method, endpoint)));
+
+            if (hasBody) {
+                req.write(options.body);
+            }
             req.end();
         });
     }
 
-    patch(resource, payload = {}) {
-        return new Promise((resolve, reject) => {
-            if (!this._serverHost) reject(new Error('Invalid host.'));
-            if (!this._cookieToken) reject(new Error('Not logged in.'));
-
-            const body = JSON.stringify(payload);
+    _toHttpError(error, method, endpoint) {
+        if (error instanceof ProtectHttpError) {
+            return error;
+        }
+        return new ProtectHttpError(error.message, { method, endpoint, code: error.code });
+    }
 
-            const options = {
-                host: this._serverHost,
-                port: this._serverPort,
-                path: `${UFV_API_ENDPOINT}/${resource}`,
-                method: 'PATCH',
-                headers: {
-                    Accept: 'application/json',
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body),
-                    'Cookie': this._cookieToken,
-                    'x-csrf-token': this._csrfToken,
-                },
-                maxRedirects: 20,
-                rejectUnauthorized: false,
-                keepAlive: true,
-            };
+    // Keep the session cookie the controller hands out along the way.
+    _updateSession(res) {
+        if (this.isLegacy() || this._authApiKey) {
+            return;
+        }
 
-            const req = https.request(options, res => {
-                if (res.statusCode !== 200) {
-                    return reject(new Error(`Failed to PATCH url: ${options.path} (status code: ${res.statusCode})`));
-                }
-                res.setEncoding('utf8');
-                const data = [];
+        res.rawHeaders.forEach((item, index) => {
+            if (item.toLowerCase() === 'set-cookie' && this._isSessionCookie(res.rawHeaders[index + 1])) {
+                this._cookieToken = res.rawHeaders[index + 1];
+            }
+        });
+    }
 
-                res.on('data', chunk => data.push(chunk));
-                res.on('end', () => {
-                    // Obtain authorization header
-                    res.rawHeaders.forEach((item, index) => {
-                        if (item.toLowerCase() === 'set-cookie') {
-                            this._cookieToken = res.rawHeaders[index + 1];
-                        }
-
-                        if (item.toLowerCase() === 'x-csrf-token') {
-                            //this._csrfToken = res.rawHeaders[index + 1];
-                        }
-                    });
-
-                    return resolve(data.join(''));
+    // Send a request for an API resource with the session of the controller, and resolve with the body of the response.
+    _call(method, resource, params, payload, options = {}) {
+        const endpoint = `${this.getApiEndpoint()}/${resource}`;
+
+        return this._request(() => {
+            if (!this.hasSession()) {
+                return Promise.reject(new ProtectHttpError('Not logged in.', { method, endpoint }));
+            }
+
+            const headers = Object.assign({
+                Accept: options.binary || options.stream ? '*/*' : 'application/json',
+            }, this.getAuthHeaders(method !== 'GET'));
+
+            let body = null;
+            if (payload !== null) {
+                headers['Content-Type'] = 'application/json; charset=utf-8';
+                body = JSON.stringify(payload);
+            }
+
+            return this.send({
+                method,
+                path: `${endpoint}${this.toQueryString(params)}`,
+                headers,
+                body,
+                timeout: options.timeout,
+                signal: options.signal,
+                binary: options.binary,
+                stream: options.stream,
+            })
+                .then(response => {
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        if (options.stream) response.body.resume();
+                        throw new ProtectHttpError(`Failed to ${method} ${endpoint} (status code: ${response.statusCode})`, {
+                            statusCode: response.statusCode,
+                            method,
+                            endpoint,
+                        });
+                    }
+                    return response.body;
                 });
-            });
-
-            req.on('error', error => reject(error));
-            req.write(body);
-            req.end();
         });
     }
 
-    post(resource, payload = {}) {
-        return new Promise((resolve, reject) => {
-            if (!this._serverHost) reject(new Error('Invalid host.'));
-            if (!this._cookieToken) reject(new Error('Not logged in.'));
+    get(resource, params = {}, isBinary = false, options = {}) {
+        return this._call('GET', resource, Object.assign({}, params, { accessKey: this._apiKey }), null, Object.assign({}, options, { binary: isBinary }));
+    }
 
-            const body = JSON.stringify(payload);
+    put(resource, payload = {}, options = {}) {
+        return this._call('PUT', resource, { apiKey: this._apiKey }, payload, options);
+    }
 
-            const options = {
-                host: this._serverHost,
-                port: this._serverPort,
-                path: `${UFV_API_ENDPOINT}/${resource}`,
-                method: 'POST',
-                headers: {
-                    Accept: 'application/json',
-                    'Content-Type': 'application/json; charset=utf-8',
-                    'Content-Length': Buffer.byteLength(body),
-                    'Cookie': this._cookieToken,
-                    'x-csrf-token': this._csrfToken,
-                },
-                maxRedirects: 20,
-                rejectUnauthorized: false,
-                keepAlive: true,
-            };
+    patch(resource, payload = {}, options = {}) {
+        return this._call('PATCH', resource, null, payload, options);
+    }
 
-            const req = https.request(options, res => {
-                if (res.statusCode !== 200) {
-                    return reject(new Error(`Failed to POST to url: ${options.host}${options.path} (status code: ${res.statusCode})`));
+    post(resource, payload = {}, options = {}) {
+        return this._call('POST', resource, null, payload, options);
+    }
+
+    // Resolve with the response of a binary resource, to read the body from as a stream.
+    stream(resource, params = {}, options = {}) {
+        return this._call('GET', resource, Object.assign({}, params, { accessKey: this._apiKey }), null, Object.assign({}, options, { stream: true }));
+    }
+
+    // Send a request, logging in again and retrying it once when the session has expired.
+    _request(send) {
+        // Requests wait for a login in progress, and log in first when there is no session cookie
+        let session = this._loginRefresh || Promise.resolve();
+        if (this._loginHandler && !this.hasSession()) {
+            session = this.refreshLogin();
+        }
+
+        return session
+            .then(() => send())
+            .catch(error => {
+                if (!this._loginHandler || (error.statusCode !== 401 && error.statusCode !== 403)) {
+                    throw error;
                 }
-                res.setEncoding('utf8');
-                const data = [];
 
-                res.on('data', chunk => data.push(chunk));
-                res.on('end', () => {
-                    // Obtain authorization header
-                    res.rawHeaders.forEach((item, index) => {
-                        if (item.toLowerCase() === 'set-cookie') {
-                            this._cookieToken = res.rawHeaders[index + 1];
-                        }
-
-                        if (item.toLowerCase() === 'x-csrf-token') {
-                            //this._csrfToken = res.rawHeaders[index + 1];
-                        }
-                    });
-
-                    return resolve(data.join(''));
-                });
+                return this.refreshLogin()
+                    .then(() => send());
             });
+    }
 
-            req.on('error', error => reject(error));
-            req.write(body);
-            req.end();
-        });
+    // Log in again, concurrent callers share the same login.
+    refreshLogin() {
+        if (!this._loginRefresh) {
+            this._loginRefresh = this._loginHandler()
+                .then(result => {
+                    this._loginRefresh = null;
+                    return result;
+                })
+                .catch(error => {
+                    this._loginRefresh = null;
+                    throw new Error(`Session expired and logging in again failed: ${error.message || error}`);
+                });
+        }
+
+        return this._loginRefresh;
+    }
+
+    // UniFi OS keeps the session in the TOKEN cookie.
+    _isSessionCookie(cookie) {
+        return typeof cookie === 'string' && cookie.includes('TOKEN=');
+    }
+
+    hasSession() {
+        if (this._authApiKey) {
+            return true;
+        }
+        if (this.isLegacy()) {
+            return !!this._authorizationToken;
+        }
+        return this._isSessionCookie(this._cookieToken);
     }
 
-    download(resource, params) {
-        return this.get(resource, params, true);
+    download(resource, params, options = {}) {
+        return this.get(resource, params, true, options);
     }
 
     toQueryString(obj) {
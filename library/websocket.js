@@ -1,5 +1,6 @@
 'use strict';
 
+const EventEmitter = require('events');
 const Homey = require('homey');
 const WebSocket = require('ws');
 const zlib = require('zlib');
@@ -10,16 +11,60 @@ const ManagerApi = Homey.ManagerApi;
 // 15000 miliseconds is 0.25 minute
 const SendPingPongMessageTime = 15000;
 
-class ProtectWebSocket {
-    constructor() {
+// Emits every update of the realtime update events API as <modelKey>.<action>, like camera.update and event.add, and
+// as update. The listener gets the NVR id, the modelKey, the action, the id of the model and the payload.
+class ProtectWebSocket extends EventEmitter {
+    constructor(api) {
+        super();
+
+        this._api = api;
         this._eventListener = null;
         this._pingPong = null;
+        this._connection = null;
+
+        // Camera of every motion event in progress, event updates don't contain the camera
+        this._motionEventCameras = {};
+
+        this._registerDeviceListeners();
+    }
+
+    // Dispatch the updates of devices to their drivers, and Protect events to the cameras.
+    _registerDeviceListeners() {
+        this.on('camera.update', update => {
+            if (update.payload.lastRing) {
+                this.onDoorbellRinging(update.id, update.payload.lastRing);
+            }
+
+            // Statistics are updated all the time and not shown on the device
+            if (update.payload.stats) {
+                return;
+            }
+            this.onDeviceUpdated('protectcamera', update.id, update.payload);
+        });
+        this.on('nvr.update', update => this.onDeviceUpdated('protectnvr', update.id, update.payload));
+        this.on('light.update', update => this.onDeviceUpdated('protectlight', update.id, update.payload));
+        this.on('sensor.update', update => this.onDeviceUpdated('protectsensor', update.id, update.payload));
+        this.on('chime.update', update => this.onDeviceUpdated('protectchime', update.id, update.payload));
+        this.on('viewer.update', update => this.onDeviceUpdated('protectviewer', update.id, update.payload));
+
+        this.on('event.add', update => this.onEventAdded(update.id, update.payload));
+        this.on('event.update', update => this.onEventUpdated(update.id, update.payload));
+    }
+
+    // Set the connection that is told when the websocket is opened or closed.
+    setConnection(connection) {
+        this._connection = connection;
     }
 
     // Return the realtime update events API URL.
     updatesUrl() {
 
-        return 'wss://' + Homey.app.api.getHost() + '/proxy/protect/ws/updates';
+        // Legacy UniFi Protect serves the updates on its own port
+        if (this._api.isLegacy()) {
+            return 'wss://' + this._api.getHost() + ':' + this._api.webclient.getServerPort() + UfvConstants.LEGACY_UPDATES_ENDPOINT;
+        }
+
+        return 'wss://' + this._api.getHost() + UfvConstants.UNIFI_OS_UPDATES_ENDPOINT;
     }
 
     // Connect to the realtime update events API.
@@ -30,24 +75,26 @@ class ProtectWebSocket {
             return true;
         }
 
-        const params = new URLSearchParams({ lastUpdateId: Homey.app.api._lastUpdateId });
+        const params = new URLSearchParams({ lastUpdateId: this._api.getLastUpdateId() });
+        this._motionEventCameras = {};
 
         Homey.app.debug('Update listener: ' + this.updatesUrl() + '?' + params.toString());
 
         try {
             ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_WEBSOCKET_STATUS, 'Connecting');
 
+            // A controller that never answers the upgrade closes the websocket, so the connection backs off
             const _ws = new WebSocket(this.updatesUrl() + '?' + params.toString(), {
-                headers: {
-                    Cookie: Homey.app.api.getProxyCookieToken()
-                },
-                rejectUnauthorized: false
+                headers: this._api.getAuthHeaders(),
+                agent: this._api.getAgent(),
+                handshakeTimeout: UfvConstants.WEBSOCKET_HANDSHAKE_TIMEOUT * 1000,
             });
 
             if (!_ws) {
                 Homey.app.debug('Unable to connect to the realtime update events API. Will retry again later.');
                 delete this._eventListener;
                 this._eventListenerConfigured = false;
+                this._connection.onWebSocketClosed();
                 return false;
             }
 
@@ -62,7 +109,7 @@ class ProtectWebSocket {
                 // update lastPong variable
                 let lastPong = new Date().toLocaleString('nl-NL');
                 ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_WEBSOCKET_LASTPONG, lastPong);
-                Homey.app.debug(Homey.app.api.getNvrName() + ': Received pong from websocket.');
+                Homey.app.debug(this._api.getNvrName() + ': Received pong from websocket.');
             });
 
             // Received ping
@@ -74,17 +121,28 @@ class ProtectWebSocket {
 
             // Connection opened
             this._eventListener.on('open', (event) => {
-                Homey.app.debug(Homey.app.api.getNvrName() + ': Connected to the UniFi realtime update events API.');
+                // Ignore a websocket that was closed on purpose while connecting
+                if (_ws !== this._eventListener) {
+                    return;
+                }
+
+                Homey.app.debug(this._api.getNvrName() + ': Connected to the UniFi realtime update events API.');
                 ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_WEBSOCKET_STATUS, 'Connected');
+                this._connection.onWebSocketOpened();
             });
 
             this._eventListener.on('close', () => {
+                // A websocket that was closed on purpose has already been cleaned up
+                if (_ws !== this._eventListener) {
+                    return;
+                }
+
                 // terminate and cleanup websocket connection and timers
-                delete this._eventListener;
-                this._eventListenerConfigured = false;
-                clearInterval(this._pingPong);
+                this._cleanUpEventListener();
                 ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_WEBSOCKET_STATUS, 'Disconnected');
-                this.reconnectUpdatesListener();
+
+                // Let the connection reconnect after a while
+                this._connection.onWebSocketClosed();
             });
 
             this._eventListener.on('error', (error) => {
@@ -92,52 +150,46 @@ class ProtectWebSocket {
 
                 // If we're closing before fully established it's because we're shutting down the API - ignore it.
                 if (error.message !== 'WebSocket was closed before the connection was established') {
-                    Homey.app.debug(Homey.app.api.getHost(), +': ' + error);
+                    Homey.app.debug(this._api.getHost(), +': ' + error);
                 }
 
                 ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_WEBSOCKET_STATUS, error.message);
             });
         } catch (error) {
-            Homey.app.debug(Homey.app.api.getNvrName() + ': Error connecting to the realtime update events API: ' + error);
+            Homey.app.debug(this._api.getNvrName() + ': Error connecting to the realtime update events API: ' + error);
             ManagerApi.realtime(UfvConstants.EVENT_SETTINGS_WEBSOCKET_STATUS, error);
+            this._cleanUpEventListener();
+            this._connection.onWebSocketClosed();
+            return false;
         }
 
         return true;
     }
 
+    // Close the websocket on purpose, the connection is not told about it.
     disconnectEventListener() {
         return new Promise((resolve, reject) => {
-            if (typeof this._eventListener !== 'undefined' && this._eventListener !== null) {
+            const eventListener = this._eventListener;
+            this._cleanUpEventListener();
+
+            if (typeof eventListener !== 'undefined' && eventListener !== null) {
                 Homey.app.debug('Called terminate websocket');
-                this._eventListener.close();
+                eventListener.terminate();
             }
-            this._eventListenerConfigured = false;
             resolve(true);
         });
     }
 
-    reconnectUpdatesListener() {
-        Homey.app.debug('Called reconnectUpdatesListener');
-        this.disconnectEventListener().then((res) => {
-            this.waitForBootstrap();
-        }).catch();
-    }
-
-    waitForBootstrap() {
-        if (typeof Homey.app.api._lastUpdateId !== 'undefined' && Homey.app.api._lastUpdateId !== null) {
-            Homey.app.debug('Called waitForBootstrap');
-            this.launchUpdatesListener();
-            this.configureUpdatesListener(this);
-        } else {
-            Homey.app.debug('Calling waitForBootstrap');
-            setTimeout(this.waitForBootstrap.bind(this), 250);
-        }
+    _cleanUpEventListener() {
+        delete this._eventListener;
+        this._eventListenerConfigured = false;
+        clearInterval(this._pingPong);
     }
 
     sendPingPongMessage() {
-        if (this._eventListener !== null) {
+        if (this._eventListener && this._eventListener.readyState === WebSocket.OPEN) {
             this._eventListener.send('ping');
-            Homey.app.debug(Homey.app.api.getNvrName() + ': Send ping to websocket.');
+            Homey.app.debug(this._api.getNvrName() + ': Send ping to websocket.');
         }
     }
 
@@ -154,45 +206,124 @@ class ProtectWebSocket {
             const updatePacket = this.decodeUpdatePacket(event);
 
             if (!updatePacket) {
-                Homey.app.debug(Homey.app.api.getNvrName() + ': Unable to process message from the realtime update events API.');
+                Homey.app.debug(this._api.getNvrName() + ': Unable to process message from the realtime update events API.');
                 return;
             }
 
-            // Update actions that we care about (doorbell rings, motion detection) look like this:
-            //
-            // action: "update"
-            // id: "someCameraId"
-            // modelKey: "camera"
-            // newUpdateId: "ignorethis"
-            //
-            // The payloads are what differentiate them - one updates lastMotion and the other lastRing.
-
-            // Filter on what actions we're interested in only.
-            if ((updatePacket.action.action !== 'update') || (updatePacket.action.modelKey !== 'camera')) {
-                return;
-            }
+            this.onUpdatePacket(updatePacket);
+        });
+        this._eventListenerConfigured = true;
+        return true;
+    }
+
+    // Merge an update into the bootstrap and emit it.
+    //
+    // Device updates, like doorbell rings and motion detection, look like this, the payload holds the changed fields:
+    //
+    // action: "update"
+    // id: "someCameraId"
+    // modelKey: "camera"
+    // newUpdateId: "someUpdateId"
+    //
+    // Smart detections are added as a new event, with the camera id in the payload:
+    //
+    // action: "add"
+    // id: "someEventId"
+    // modelKey: "event"
+    // newUpdateId: "someUpdateId"
+    onUpdatePacket(updatePacket) {
+        const action = updatePacket.action;
+        if (!action || !action.modelKey || !action.action) {
+            return;
+        }
+
+        this._api.applyUpdate(action, updatePacket.payload);
+
+        const update = {
+            nvr: this._api.getControllerId(),
+            modelKey: action.modelKey,
+            action: action.action,
+            id: action.id,
+            payload: updatePacket.payload || {},
+        };
+
+        // A failing listener shouldn't keep the update from the others, the raw listeners remove themselves when added once
+        [`${action.modelKey}.${action.action}`, 'update'].forEach(eventName => {
+            this.rawListeners(eventName).forEach(listener => {
+                try {
+                    listener(update);
+                } catch (error) {
+                    Homey.app.debug(`${this._api.getNvrName()}: Error handling ${eventName}: ${error}`);
+                }
+            });
+        });
+    }
 
-            // get payload from updatePacket
-            const payload = updatePacket.payload;
+    // Dispatch an update to the device with the given id of the given driver.
+    onDeviceUpdated(driverId, id, payload) {
+        // get driver for this model
+        const driver = Homey.ManagerDrivers.getDriver(driverId);
 
-            if (payload.stats) {
-                return;
-            }
+        // Get device from model id
+        const device = driver.getDeviceById(id);
+        if (!device) {
+            return;
+        }
 
-            // get protectcamera driver
-            const driver = Homey.ManagerDrivers.getDriver('protectcamera');
+        // Parse Websocket payload message
+        driver.onParseWesocketMessage(device, payload);
+    }
 
-            // Get device from camera id
-            const device = driver.getDeviceById(updatePacket.action.id);
-            if (!device) {
-                return;
-            }
+    // Let the chimes know a doorbell rang, also when the doorbell itself isn't paired with Homey.
+    onDoorbellRinging(cameraId, lastRing) {
+        const bootstrap = this._api.getBootstrap();
+        const camera = bootstrap && Array.isArray(bootstrap.cameras)
+            ? bootstrap.cameras.find(item => item.id === cameraId) : null;
 
-            // Parse Websocket payload message
-            driver.onParseWesocketMessage(device, payload);
-        });
-        this._eventListenerConfigured = true;
-        return true;
+        Homey.ManagerDrivers.getDriver('protectchime')
+            .onDoorbellRinging(this._api.getControllerId(), cameraId, camera ? camera.name : cameraId, lastRing);
+    }
+
+    // Dispatch a newly added Protect event to the camera it belongs to.
+    onEventAdded(eventId, payload) {
+        if (!payload || !payload.camera) {
+            return;
+        }
+
+        if (payload.type === 'motion' && !payload.end) {
+            this._motionEventCameras[eventId] = payload.camera;
+        }
+
+        this.onCameraEvent(payload.camera, eventId, payload);
+    }
+
+    // Dispatch an update of a motion event in progress to the camera it belongs to.
+    onEventUpdated(eventId, payload) {
+        const cameraId = this._motionEventCameras[eventId];
+        if (!payload || !cameraId) {
+            return;
+        }
+
+        if (payload.end) {
+            delete this._motionEventCameras[eventId];
+        }
+
+        this.onCameraEvent(cameraId, eventId, Object.assign({ type: 'motion' }, payload));
+    }
+
+    // Dispatch a Protect event to the camera with the given id.
+    onCameraEvent(cameraId, eventId, payload) {
+        // get protectcamera driver
+        const driver = Homey.ManagerDrivers.getDriver('protectcamera');
+
+        // Get device from camera id
+        const device = driver.getDeviceById(cameraId);
+        if (!device) {
+            return;
+        }
+
+        // Parse Websocket event message
+        driver.onParseWebsocketEvent(device, eventId, payload);
     }
 
     // Process an update data packet and return the action and payload.